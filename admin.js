@@ -0,0 +1,266 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+'use strict'
+
+const { Router } = require('express')
+const BodyParser = require('body-parser')
+
+const { SEED_HEADER } = require('./api')
+
+/**
+ * Reserved path of the admin API. Samplests with routes under this path are
+ * not served while the admin API is enabled.
+ *
+ * @type {string}
+ */
+const ADMIN_PATH = '/__samplest'
+
+/**
+ * Admin Route Object Interface.
+ *
+ * @type {{
+ *  source: string,
+ *  method: string,
+ *  route: string,
+ *  contract: {
+ *    query: Record<string, string|string[]>,
+ *    headers: Record<string, string>,
+ *    payload: object|string?,
+ *    strict: boolean
+ *  },
+ *  except: Array<{
+ *    assertion: string,
+ *    validate: string[],
+ *    expect: ConditionObject?,
+ *    code: number|string
+ *  }>,
+ *  variants: number,
+ *  state: string?,
+ *  conflict: { conflict: string, by: string }?
+ * }}
+ */
+const AdminRouteObject = {
+  source: 'examples/safe/read-one-object.json',
+  method: 'GET',
+  route: '/api/v1/products/:product',
+  contract: {
+    query: 'object',
+    headers: 'object',
+    payload: 'object | string | null',
+    strict: false
+  },
+  except: [
+    {
+      assertion: 'Product must be numeric',
+      validate: ['JS rule'],
+      expect: 'ConditionObject | null',
+      code: 400
+    }
+  ],
+  variants: 1,
+  state: 'collection name | null',
+  conflict: 'null | { conflict: duplicate | shadowed, by: source }'
+}
+
+/**
+ * Extract the route parameters of a request path (e.g. /books/42 matches
+ * /books/:book with { book: '42' }).
+ *
+ * @param {string} route The route of a samplest
+ * @param {string} path The path of a request
+ * @throws {URIError} Malformed path segment
+ * @returns {Record<string, string>?} Route parameters or null if unmatched
+ */
+function routeParams (route, path) {
+  const segments = route.replace(/\/+$/, '').split('/')
+  const values = path.replace(/\/+$/, '').split('/')
+  if (segments.length !== values.length) {
+    return null
+  }
+
+  const params = {}
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startsWith(':')) {
+      try {
+        params[segments[i].slice(1)] = decodeURIComponent(values[i])
+      } catch (e) {
+        throw new URIError(`Malformed path segment "${values[i]}"`)
+      }
+    } else if (segments[i].toLowerCase() !== values[i].toLowerCase()) {
+      return null
+    }
+  }
+
+  return params
+}
+
+/**
+ * Describe a registered route for the admin API.
+ *
+ * @param {{ source: string, builder: ContentBuilder }} entry The registered route
+ * @param {RouteConflictObject?} conflict The conflict of the route
+ * @returns {AdminRouteObject}
+ */
+function describeRoute ({ source, builder }, conflict = null) {
+  const { method, route, query, headers, payload } = builder.request
+  const cases = builder.except ? builder.except.cases : {}
+
+  return {
+    source,
+    method: method.toUpperCase(),
+    route,
+    contract: { query, headers, payload, strict: builder.strict },
+    except: Object.entries(cases).map(([assertion, { validate = [], expect = null, response }]) => ({
+      assertion, validate, expect, code: response.code
+    })),
+    variants: builder.selector ? builder.selector.variants.length : 1,
+    state: builder.state ? builder.state.collection : null,
+    conflict: conflict && { conflict: conflict.conflict, by: conflict.by }
+  }
+}
+
+/**
+ * Create the router of the admin API to discover what is served: the status
+ * of the server, the registered routes, their samplests (with resolved
+ * fixtures) and sample responses rendered without side effects. A route is
+ * looked up by its source or by its method and route. If the registry keeps
+ * a journal, the requests can be queried, verified and reset too.
+ *
+ * @param {RouteRegistry} registry The route registry
+ * @param {{ version: string }} options Admin options
+ * @returns {any} Express router
+ */
+function adminRouter (registry, { version }) {
+  const launch = new Date()
+  const router = Router()
+
+  const lookup = (req, res, next) => {
+    const { source, method, route } = req.query
+    if (!source && !(method && route)) {
+      return res.status(400).send({ error: 'Set the source or the method and route of a samplest' })
+    }
+    const entry = registry.routes.find(({ source: file, builder }) => source
+      ? file === source
+      : builder.request.method === `${method}`.toLowerCase() && builder.request.route === route)
+    if (entry === undefined) {
+      return res.status(404).send({ error: 'Samplest not found' })
+    }
+    req.entry = entry
+    next()
+  }
+
+  router.get('/', (req, res) => {
+    res.send({
+      name: 'samplest',
+      version,
+      launch: launch.toISOString(),
+      uptime: Math.floor((Date.now() - launch.getTime()) / 1000),
+      routes: registry.size
+    })
+  })
+
+  router.get('/routes', (req, res) => {
+    const conflicts = new Map(registry.conflicts().map(e => [e.source, e]))
+    res.send(registry.routes.map(e => describeRoute(e, conflicts.get(e.source))))
+  })
+
+  router.get('/samplest', lookup, (req, res) => {
+    res.send(req.entry.builder.samplest)
+  })
+
+  // The sample request is built from the request contract of the samplest,
+  // with the route parameters from the path query parameter (if any)
+  router.get('/sample', lookup, (req, res) => {
+    const { builder } = req.entry
+    const { path, seed, variant = '1' } = req.query
+    let params = {}
+    try {
+      params = path ? routeParams(builder.request.route, `${path}`) : {}
+    } catch (e) {
+      return res.status(400).send({ error: e.message })
+    }
+    if (params === null) {
+      return res.status(400).send({ error: `Path "${path}" does not match ${builder.request}` })
+    }
+    const index = Number(variant) - 1
+    const variants = builder.selector ? builder.selector.variants.length : 1
+    if (!Number.isInteger(index) || index < 0 || index >= variants) {
+      return res.status(400).send({ error: `Response variant ${variant} not found` })
+    }
+    const headers = {}
+    for (const [key, value] of Object.entries(builder.request.headers || {})) {
+      headers[key.toLowerCase()] = value
+    }
+    if (seed !== undefined) {
+      headers[SEED_HEADER] = `${seed}`
+    }
+    try {
+      const { flow, code, headers: outgoing, content, format = 'json' } = builder.sample({
+        params,
+        query: { ...builder.request.query },
+        headers,
+        body: builder.request.payload,
+        ip: req.ip
+      }, index)
+      res.send({ flow: flow || null, code, headers: outgoing, content, format })
+    } catch (e) {
+      res.status(400).send({ error: e.message })
+    }
+  })
+
+  if (registry.journal === null) {
+    return router
+  }
+
+  // The condition on the request context is a JSON encoded query parameter
+  // (e.g. ?method=POST&where={"payload.title":"Dune"})
+  router.get('/journal', (req, res) => {
+    const { where, ...query } = req.query
+    try {
+      res.send(registry.journal.find({ ...query, where: where ? JSON.parse(where) : null }))
+    } catch (e) {
+      res.status(400).send({ error: e.message })
+    }
+  })
+
+  router.post('/journal/verify', BodyParser.json(), (req, res) => {
+    const body = req.body && req.body.constructor === Object ? req.body : {}
+    const { times, atLeast, atMost, ...query } = body
+    try {
+      res.send(registry.journal.verify(query, { times, atLeast, atMost }))
+    } catch (e) {
+      res.status(400).send({ error: e.message })
+    }
+  })
+
+  router.delete('/journal', (req, res) => {
+    res.send({ removed: registry.journal.reset() })
+  })
+
+  return router
+}
+
+module.exports = {
+  ADMIN_PATH,
+  AdminRouteObject,
+  routeParams,
+  adminRouter
+}
@@ -19,23 +19,61 @@
 // SOFTWARE.
 'use strict'
 
-const { fake } = require('faker')
+const Faker = require('faker')
+const { Router } = require('express')
 
 const {
   castContent,
+  parseRange,
+  randomBetween,
+  hashSeed,
+  seededRandom,
   repeatContent,
+  paginateWindow,
+  paginationLinks,
+  queryContent,
   generateContent,
   interpret,
   ContextManager,
   RequestHandler,
   RequestObject,
   RequestContextObject,
+  ContractViolationObject,
   ResponseHandler,
   ResponseObject,
   ResponseMetadataObject,
+  ResponseVariantObject,
+  ResponseSelector,
   ExceptObject,
-  ExceptHandler
+  ExceptHandler,
+  StateObject,
+  StateHandler,
+  FaultObject,
+  FaultHandler
 } = require('./lib')
+const { MemoryStore } = require('./store')
+const { negotiateFormat, serializeContent, FORMATS } = require('./format')
+const {
+  AUTO_LOCALE,
+  validateLocale,
+  negotiateLocale,
+  withLocale,
+  fakeContent
+} = require('./mockup')
+
+/**
+ * Request header to generate reproducible content.
+ *
+ * @type {string}
+ */
+const SEED_HEADER = 'x-samplest-seed'
+
+/**
+ * Request header to identify the client for sticky response variants.
+ *
+ * @type {string}
+ */
+const CLIENT_HEADER = 'x-samplest-client'
 
 /**
  * Register an HTTP call to an HTTP handler.
@@ -51,11 +89,310 @@ function registerHttpCall (builder, api, callback) {
     if (callback instanceof Function) {
       callback(new Date(), freshContent, req, res)
     }
-    const { code, headers, content } = freshContent
-    res.set(headers).status(code).json(content)
+    const { code, headers, content, delay, fault, format = 'json' } = freshContent
+    const send = () => {
+      if (fault === 'hang') {
+        return // NOTE: the client waits until it gives up
+      } else if (fault === 'drop') {
+        return req.socket.destroy()
+      }
+      res.set(headers).status(code)
+      if (format === 'file' && !fault) {
+        // NOTE: the content type is derived from the file extension if unset
+        return res.sendFile(content, { root: builder.base }, (err) => {
+          if (err && !res.headersSent) {
+            res.status(404).type('json').send({ error: `File "${content}" not found` })
+          }
+        })
+      } else if (!res.get('Content-Type')) {
+        res.type(FORMATS[format])
+      }
+      const body = Buffer.from(serializeContent(content, format))
+      if (fault === 'truncate' || fault === 'malformed') {
+        const part = body.slice(0, Math.floor(body.length / 2))
+        if (fault === 'malformed') {
+          return res.send(part)
+        }
+        res.set('Content-Length', `${body.length}`)
+        return res.write(part, () => req.socket.destroy())
+      }
+      res.send(body)
+    }
+    if (delay > 0) {
+      setTimeout(send, delay)
+    } else {
+      send()
+    }
   })
 }
 
+/**
+ * Supported precedences of routes: in registration order or with static
+ * segments before route parameters.
+ *
+ * @type {string[]}
+ */
+const ROUTE_PRECEDENCES = ['order', 'specific']
+
+/**
+ * Split a route into its segments, where route parameters are null. Routes
+ * with wildcards, optional parameters or regular expressions cannot be
+ * compared and result in null.
+ *
+ * @param {string} route The route of a request
+ * @returns {Array<string|null>|null}
+ */
+function routeSegments (route) {
+  if (/[*?+()[\]]/.test(route)) {
+    return null
+  }
+
+  return route.replace(/\/+$/, '').split('/').slice(1)
+    .map(e => e.startsWith(':') ? null : e.toLowerCase())
+}
+
+/**
+ * Check if every request path matched by a route is matched by another.
+ *
+ * @param {Array<string|null>} route The segments of the route
+ * @param {Array<string|null>} other The segments of the other route
+ * @returns {boolean}
+ */
+function coversRoute (route, other) {
+  if (route === null || other === null || route.length !== other.length) {
+    return false
+  }
+
+  return route.every((e, i) => e === null || e === other[i])
+}
+
+/**
+ * Compare routes by their specificity: at the first segment where they
+ * differ, a static segment comes before a route parameter. Routes that
+ * cannot be compared come last.
+ *
+ * @param {Array<string|null>} route The segments of the route
+ * @param {Array<string|null>} other The segments of the other route
+ * @returns {number}
+ */
+function compareRoutes (route, other) {
+  if (route === null || other === null) {
+    return (route === null) - (other === null)
+  }
+
+  const length = Math.min(route.length, other.length)
+  for (let i = 0; i < length; i++) {
+    const diff = (route[i] === null) - (other[i] === null)
+    if (diff !== 0) {
+      return diff
+    }
+  }
+
+  return 0
+}
+
+/**
+ * Route Conflict Object Interface.
+ *
+ * @type {{
+ *  source: string,
+ *  request: string,
+ *  conflict: string,
+ *  by: string
+ * }}
+ */
+const RouteConflictObject = {
+  source: 'string',
+  request: 'GET /books/latest',
+  conflict: 'duplicate | shadowed',
+  by: 'string (source of the route served instead)'
+}
+
+/**
+ * The route registry keeps one router per source of samplest (e.g. a file)
+ * and dispatches incoming requests through them in order of precedence. A
+ * source can be registered again to replace its routes or removed without
+ * restarting the HTTP server.
+ */
+class RouteRegistry {
+  /**
+   * Initialize route registry.
+   *
+   * @param {CallableFunction?} callback Optional callback for each HTTP call
+   * @param {{ precedence: string, journal: RequestJournal? }} options Registry options
+   * @throws {Error} Unsupported route precedence
+   */
+  constructor (callback = null, { precedence = 'order', journal = null } = {}) {
+    this.callback = callback
+    this.precedence = this._validatePrecedence(precedence)
+    this.journal = journal
+    this.entries = new Map()
+    this.ordered = null
+  }
+
+  /**
+   * Check if the precedence of routes is supported.
+   *
+   * @param {string} precedence The precedence to validate
+   * @throws {Error} Unsupported route precedence
+   * @returns {string}
+   */
+  _validatePrecedence (precedence) {
+    if (ROUTE_PRECEDENCES.indexOf(precedence) === -1) {
+      throw new Error(`Unsupported route precedence: ${precedence}`)
+    }
+
+    return precedence
+  }
+
+  /**
+   * Register or replace the content builder of a source.
+   *
+   * @param {string} source The source of the samplest
+   * @param {ContentBuilder} builder Instance of content builder
+   * @returns void
+   */
+  set (source, builder) {
+    const router = Router()
+    registerHttpCall(builder, router, this._journalCallback(source, builder))
+    const segments = routeSegments(builder.request.route)
+    this.entries.set(source, { source, builder, router, segments })
+    this.ordered = null
+  }
+
+  /**
+   * Wrap the callback of HTTP calls to keep a journal of the requests
+   * answered by the content builder of a source (if any). The request is
+   * recorded as sent by the client and as seen by the except cases.
+   *
+   * @param {string} source The source of the samplest
+   * @param {ContentBuilder} builder Instance of content builder
+   * @returns {CallableFunction?}
+   */
+  _journalCallback (source, builder) {
+    if (this.journal === null) {
+      return this.callback
+    }
+
+    return (date, content, req, res) => {
+      this.journal.record({
+        source,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route: builder.request.route,
+        flow: content.flow,
+        code: content.code,
+        request: {
+          route: Object.assign({}, req.params),
+          query: Object.assign({}, req.query),
+          headers: Object.assign({}, req.headers),
+          payload: req.body === undefined ? null : req.body
+        },
+        context: builder.context(req)
+      })
+      if (this.callback instanceof Function) {
+        this.callback(date, content, req, res)
+      }
+    }
+  }
+
+  /**
+   * Remove the content builder of a source.
+   *
+   * @param {string} source The source of the samplest
+   * @returns {boolean}
+   */
+  delete (source) {
+    this.ordered = null
+    return this.entries.delete(source)
+  }
+
+  /**
+   * The registered sources in the order they receive requests. Specific
+   * routes with the same precedence are sorted by source, so the order does
+   * not depend on the order of registration.
+   *
+   * @type {Array<{ source: string, builder: ContentBuilder, router: any }>}
+   */
+  get routes () {
+    if (this.ordered === null) {
+      this.ordered = [...this.entries.values()]
+      if (this.precedence === 'specific') {
+        this.ordered.sort((a, b) => compareRoutes(a.segments, b.segments) ||
+          (a.source < b.source ? -1 : a.source > b.source ? 1 : 0))
+      }
+    }
+
+    return this.ordered
+  }
+
+  /**
+   * Find the routes that are never served, because a route with a higher
+   * precedence is the same (duplicate) or matches all their requests too
+   * (shadowed). GET routes answer HEAD requests as well.
+   *
+   * @returns {RouteConflictObject[]}
+   */
+  conflicts () {
+    const conflicts = []
+    const routes = this.routes
+    routes.forEach(({ source, builder, segments }, i) => {
+      const { method } = builder.request
+      const first = routes.slice(0, i).find(e => coversRoute(e.segments, segments) &&
+        (e.builder.request.method === method || (e.builder.request.method === 'get' && method === 'head')))
+      if (first !== undefined) {
+        conflicts.push({
+          source,
+          request: `${builder.request}`,
+          conflict: first.builder.request.method === method &&
+            coversRoute(segments, first.segments) ? 'duplicate' : 'shadowed',
+          by: first.source
+        })
+      }
+    })
+
+    return conflicts
+  }
+
+  /**
+   * Check if a source is registered.
+   *
+   * @param {string} source The source of the samplest
+   * @returns {boolean}
+   */
+  has (source) {
+    return this.entries.has(source)
+  }
+
+  /**
+   * Total number of registered sources.
+   *
+   * @type {number}
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Express middleware to dispatch requests to the registered routers.
+   *
+   * @returns {CallableFunction}
+   */
+  middleware () {
+    return (req, res, next) => {
+      const routers = this.routes.map(e => e.router)
+      const step = (err) => {
+        const router = routers.shift()
+        if (err || router === undefined) {
+          return next(err)
+        }
+        router(req, res, step)
+      }
+      step()
+    }
+  }
+}
+
 /**
  * Incoming Request Object Interface.
  *
@@ -86,7 +423,10 @@ const IncomingRequestObject = {
  *  flow: string?,
  *  code: string,
  *  headers: Record<string, string>,
- *  content: any
+ *  content: any,
+ *  delay: number,
+ *  fault: string?,
+ *  format: string?
  * }}
  */
 const OutgoingResponseObject = {
@@ -95,7 +435,10 @@ const OutgoingResponseObject = {
   headers: {
     string: 'string'
   },
-  content: 'string | object | string[] | object[]'
+  content: 'string | object | string[] | object[]',
+  delay: 'number',
+  fault: 'string | null',
+  format: 'json | text | html | xml | csv | file (default: json)'
 }
 
 /**
@@ -109,14 +452,54 @@ class ContentBuilder {
    *
    * @param {{
    *  request: RequestObject,
-   *  response: ResponseObject
-   *  except: ExceptObject?
-   * }} content
+   *  response: ResponseObject?,
+   *  responses: ResponseVariantObject[]?,
+   *  select: string?,
+   *  except: ExceptObject?,
+   *  state: StateObject|boolean?,
+   *  faults: FaultObject?,
+   *  locale: string?
+   * }} samplest
+   * @param {{
+   *  store: MemoryStore?,
+   *  strict: boolean?,
+   *  delay: number|string?,
+   *  faults: FaultObject?,
+   *  seed: string|number?,
+   *  timeout: number?,
+   *  base: string?,
+   *  locale: string?
+   * }} options Server-wide options and shared resources between builders
    */
-  constructor ({ request, response, except = null }) {
+  constructor (samplest, options = {}) {
+    const { request, response, responses, select, except = null, state = null, faults = null, locale = null } = samplest
+    this.samplest = samplest
     this.request = new RequestHandler(request)
-    this.response = new ResponseHandler(response)
-    this.except = except && new ExceptHandler(except)
+    this.strict = this.request.strict === null
+      ? options.strict === true
+      : this.request.strict
+    if (response !== undefined && responses !== undefined) {
+      throw new Error('Samplest must have either response or responses, not both')
+    }
+    this.selector = responses !== undefined || select !== undefined
+      ? new ResponseSelector(responses, select)
+      : null
+    this.response = this.selector
+      ? this.selector.variants[0]
+      : new ResponseHandler(response)
+    this.except = except && new ExceptHandler(except, options.timeout)
+    this.state = state ? new StateHandler(state, this.request.route) : null
+    this.store = this.state && (options.store || new MemoryStore())
+    this.delay = ResponseHandler.validateDelay(options.delay)
+    this.faults = faults || options.faults
+      ? new FaultHandler(faults || options.faults)
+      : null
+    this.seed = options.seed === undefined || options.seed === null
+      ? null
+      : `${options.seed}`
+    this.random = Math.random
+    this.base = options.base || process.cwd()
+    this.locale = validateLocale(locale || options.locale || null)
   }
 
   /**
@@ -126,59 +509,480 @@ class ContentBuilder {
    * @returns {OutgoingResponseObject}
    */
   generate (req) {
+    return withLocale(this._pickLocale(req), () => {
+      return this._withSeed(req, () => this._generateWithFaults(req))
+    })
+  }
+
+  /**
+   * Render a sample response without side effects: faults are not injected,
+   * the response variant is picked by its index instead of the selection
+   * strategy and the store is only read, never changed.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @param {number} variant The index of the response variant
+   * @throws {Error} Response variant not found
+   * @returns {OutgoingResponseObject}
+   */
+  sample (req, variant = 0) {
+    const variants = this.selector ? this.selector.variants : [this.response]
+    if (!Number.isInteger(variant) || variants[variant] === undefined) {
+      throw new Error(`Response variant at index ${variant} not found`)
+    }
+
+    return withLocale(this._pickLocale(req), () => {
+      return this._withSeed(req, () => this._generateContent(req, variant))
+    })
+  }
+
+  /**
+   * Pick the locale of the mockup placeholders for the incoming request. The
+   * locale of the samplest takes precedence over the server locale and both
+   * can be negotiated with the Accept-Language header.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {string?} The locale or null for the current one
+   */
+  _pickLocale ({ headers }) {
+    if (this.locale !== AUTO_LOCALE) {
+      return this.locale
+    }
+
+    return negotiateLocale(headers && headers['accept-language'])
+  }
+
+  /**
+   * Build the request context of an incoming request, as seen by the
+   * placeholders and the except cases.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {RequestContextObject}
+   */
+  context (req) {
+    return this._buildRequestContext(req)
+  }
+
+  /**
+   * Run a generator with the seed of the incoming request (if any), so the
+   * content is reproducible.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @param {CallableFunction} generator The function that generates content
+   * @returns {OutgoingResponseObject}
+   */
+  _withSeed (req, generator) {
+    const seed = this._pickSeed(req)
+    if (seed === null) {
+      return generator()
+    }
+
+    Faker.seed(seed)
+    this.random = seededRandom(seed)
+    try {
+      return generator()
+    } finally {
+      Faker.seed(hashSeed(`${Math.random()}`)) // NOTE: back to random content
+      this.random = Math.random
+    }
+  }
+
+  /**
+   * Pick the seed to generate reproducible content for the incoming request.
+   * The seed from the request headers takes precedence over the server seed
+   * and it is mixed with the samplest and the route parameters, so the same
+   * resource (e.g. GET /products/42) is always generated the same.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {number?}
+   */
+  _pickSeed ({ params, headers }) {
+    const seed = (headers && headers[SEED_HEADER]) || this.seed
+    if (seed === null || seed === undefined) {
+      return null
+    }
+
+    const route = Object.keys(params || {}).sort().map(k => `${k}=${params[k]}`)
+
+    return hashSeed(`${seed}|${this.request}|${route.join('&')}`)
+  }
+
+  /**
+   * Generate the response for the incoming request, unless a fault is picked.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {OutgoingResponseObject}
+   */
+  _generateWithFaults (req) {
+    const fault = this.faults instanceof FaultHandler ? this.faults.pick() : null
+    if (fault === null) {
+      return this._generateContent(req)
+    }
+
+    // Broken responses still need content, while the other faults replace
+    // the response without side effects (e.g. on the store)
+    if (fault === 'truncate' || fault === 'malformed') {
+      return { ...this._generateContent(req), flow: fault, fault }
+    } else if (fault === 'error') {
+      const ctx = this._buildRequestContext(req)
+      return { ...this._generateResponse(req, ctx, this.faults.errorResponse, fault), fault }
+    }
+
+    return {
+      code: null, // NOTE: no response
+      headers: {},
+      content: null,
+      delay: this._pickDelay(null),
+      flow: fault,
+      fault
+    }
+  }
+
+  /**
+   * Generate the response content for the incoming request. A sample of a
+   * response variant leaves the selection strategy and the store untouched.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @param {number?} variant The index of the response variant to sample
+   * @returns {OutgoingResponseObject}
+   */
+  _generateContent (req, variant = null) {
     const ctx = this._buildRequestContext(req)
 
+    if (this.strict) {
+      const violations = this.request.verify(req)
+      if (violations.length > 0) {
+        return this._generateContractViolation(violations)
+      }
+    }
+
     if (this.except instanceof ExceptHandler) {
       const except = this._validateExceptions(ctx)
-      if (except !== null) {
-        return this._generateResponse(ctx, except.response, except.assertion)
+      if (except !== null && except.error) {
+        return this._generateExceptFailure(except.assertion, except.error)
+      } else if (except !== null) {
+        return this._generateResponse(req, ctx, except.response, except.assertion)
       }
     }
 
-    return this._generateResponse(ctx, this.response, null)
+    const [response, flow] = variant === null
+      ? this._pickResponse(req)
+      : this._sampleResponse(variant)
+    const readOnly = this.request.method === 'get' || this.request.method === 'head'
+    if (this.state instanceof StateHandler && (variant === null || readOnly)) {
+      return this._generateStatefulResponse(req, ctx, response, flow)
+    }
+
+    return this._generateResponse(req, ctx, response, flow)
+  }
+
+  /**
+   * Pick the response of the current call from the response variants (if
+   * any). The flow announces the variant only if there are more to pick.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {[ResponseHandler, string?]} The response and its flow
+   */
+  _pickResponse (req) {
+    if (this.selector === null) {
+      return [this.response, null]
+    }
+
+    const { variants } = this.selector
+    const client = (req.headers && req.headers[CLIENT_HEADER]) ||
+      req.ip || (req.socket && req.socket.remoteAddress) || null
+    const index = this.selector.pick(client, this.random)
+
+    return [variants[index], variants.length > 1 ? `Variant ${index + 1}` : null]
+  }
+
+  /**
+   * Pick a response variant by its index, without the selection strategy.
+   *
+   * @param {number} index The index of the response variant
+   * @returns {[ResponseHandler, string?]} The response and its flow
+   */
+  _sampleResponse (index) {
+    if (this.selector === null) {
+      return [this.response, null]
+    }
+
+    const { variants } = this.selector
+
+    return [variants[index], variants.length > 1 ? `Variant ${index + 1}` : null]
+  }
+
+  /**
+   * Generate OutgoingResponseObject by acting on the collection of items
+   * from the store, according to the request method. The response object
+   * provides the status code, the headers and the default fields of new
+   * items, while the stored items become the content of the response. Only
+   * the body of the incoming request is persisted, and only when it is a
+   * plain object: the payload declared by the samplest is never stored.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @param {RequestContextObject} ctx Current request context
+   * @param {ResponseHandler} response The response object of the call
+   * @param {string?} flow Optional text to annouce a scenario
+   * @returns {OutgoingResponseObject}
+   */
+  _generateStatefulResponse (req, ctx, response = this.response, flow = null) {
+    const { collection, key, param } = this.state
+    const { method } = this.request
+    const res = this._generateResponse(req, ctx, response, flow)
+    const id = param && ctx.route[param]
+    const payload = req.body && req.body.constructor === Object ? req.body : {}
+
+    if (!id) {
+      if (method === 'post') {
+        const content = res.content
+        const defaults = content && content.constructor === Object ? content : {}
+        const item = this.store.insert(collection, key, { ...defaults, ...payload })
+        return { ...res, content: item }
+      } else if (method === 'get' || method === 'head') {
+        return { ...res, content: this.store.list(collection) }
+      }
+      return res
+    }
+
+    let item = null
+    if (method === 'get' || method === 'head') {
+      item = this.store.find(collection, id)
+    } else if (method === 'put' || method === 'patch') {
+      item = this.store.update(collection, key, id, payload)
+    } else if (method === 'delete') {
+      return this.store.remove(collection, id) === null
+        ? this._generateNotFound(collection, id)
+        : res
+    } else {
+      return res
+    }
+
+    return item === null ? this._generateNotFound(collection, id) : { ...res, content: item }
+  }
+
+  /**
+   * Generate OutgoingResponseObject for a request that does not respect the
+   * contract declared by the samplest.
+   *
+   * @param {ContractViolationObject[]} violations The contract violations
+   * @returns {OutgoingResponseObject}
+   */
+  _generateContractViolation (violations) {
+    return {
+      code: 400,
+      headers: {},
+      content: { error: 'Request does not match the contract', violations },
+      delay: this._pickDelay(null),
+      flow: 'Contract violation'
+    }
+  }
+
+  /**
+   * Generate OutgoingResponseObject for an except case with a rule that
+   * throws or runs out of time.
+   *
+   * @param {string} assertion The except case
+   * @param {Error} error The error of the rule
+   * @returns {OutgoingResponseObject}
+   */
+  _generateExceptFailure (assertion, error) {
+    return {
+      code: 500,
+      headers: { 'X-Assertion': assertion },
+      content: { error: `Except case "${assertion}" failed: ${error.message}` },
+      delay: this._pickDelay(null),
+      flow: `${assertion} (failed)`
+    }
+  }
+
+  /**
+   * Generate OutgoingResponseObject for an item missing from the store.
+   *
+   * @param {string} collection The collection name
+   * @param {string} id The identity of the missing item
+   * @returns {OutgoingResponseObject}
+   */
+  _generateNotFound (collection, id) {
+    return {
+      code: 404,
+      headers: {},
+      content: { error: `Item "${id}" not found in ${collection}` },
+      delay: this._pickDelay(null),
+      flow: 'Not found'
+    }
   }
 
   /**
    * Generate OutgoingResponseObject from context and response object.
    *
+   * @param {IncomingRequestObject} req The incoming HTTP request
    * @param {RequestContextObject} ctx Current request context
    * @param {ResponseObject} res The response object to process
    * @param {string?} flow Optional text to annouce a scenario
    * @returns {OutgoingResponseObject}
    */
-  _generateResponse (ctx, res, flow) {
-    const content = this._processContent(JSON.stringify(res.data), ctx)
+  _generateResponse (req, ctx, res, flow) {
+    if (!(res instanceof ResponseHandler)) {
+      // NOTE: headers of except cases and faults are sent as they are declared
+      res = Object.assign(new ResponseHandler(res), { headers: res.headers || {} })
+    }
+    if (res.$data && res.$data.paginate) {
+      return this._generatePage(req, ctx, res, flow)
+    }
+    if (res.file !== null) {
+      return {
+        code: res.code,
+        headers: this._processHeaders(JSON.stringify(res.headers), ctx),
+        content: interpret(res.file, ctx),
+        delay: this._pickDelay(res.delay),
+        flow,
+        format: 'file'
+      }
+    }
+
+    const data = res.data === undefined ? null : res.data
+    const content = this._postprocessContent(
+      this._processContent(JSON.stringify(data), ctx), { ...res.$data })
+    const query = res.$data && res.$data.query
 
     return {
       code: res.code,
       headers: this._processHeaders(JSON.stringify(res.headers), ctx),
-      content: this._postprocessContent(content, { ...res.$data }),
-      flow
+      content: query ? queryContent(content, ctx.query, query) : content,
+      delay: this._pickDelay(res.delay),
+      flow,
+      format: this._pickFormat(ctx, res)
+    }
+  }
+
+  /**
+   * Generate OutgoingResponseObject with one page of a virtual collection.
+   * Each item is generated from the data items in turn, with a seed derived
+   * from its position, so the collection stays the same between requests.
+   * Items can refer to their position with {item.index} and {item.position}.
+   * If the collection can be queried, all items are generated to be filtered
+   * and sorted before the page is sliced. The seed of the incoming request
+   * (if any) takes precedence over the server seed, while links to other
+   * pages keep the path where the samplest is mounted.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @param {RequestContextObject} ctx Current request context
+   * @param {ResponseObject} res The response object to process
+   * @param {string?} flow Optional text to annouce a scenario
+   * @returns {OutgoingResponseObject}
+   */
+  _generatePage (req, ctx, res, flow) {
+    const { paginate, cast, query } = res.$data
+    const { envelope } = paginate
+    const window = paginateWindow(ctx.query, paginate)
+    const headers = this._processHeaders(JSON.stringify(res.headers), ctx)
+
+    const random = this.random
+    const base = (req.headers && req.headers[SEED_HEADER]) || this.seed
+    const [start, end] = query
+      ? [0, paginate.total]
+      : [window.offset, Math.min(window.offset + window.limit, paginate.total)]
+    let items = []
+    try {
+      for (let i = start; i < end; i++) {
+        const seed = hashSeed(`${base}|${this.request}|${i}`)
+        Faker.seed(seed)
+        this.random = seededRandom(seed)
+        const item = { index: `${i}`, position: `${i + 1}` }
+        const data = JSON.stringify(res.data[i % res.data.length])
+        items.push(this._processContent(data, { ...ctx, item }))
+      }
+    } finally {
+      Faker.seed(hashSeed(`${random()}`)) // NOTE: back to the current source
+      this.random = random
+    }
+
+    let total = paginate.total
+    items = this._postprocessContent(items, { cast })
+    if (query) {
+      items = queryContent(items, ctx.query, query, Object.values(paginate.params))
+      total = items.length
+      items = items.slice(window.offset, window.offset + window.limit)
+    }
+
+    const route = this.request.route.replace(/:([a-z0-9_]+)\??/ig, (_, k) => ctx.route[k] || '')
+    const path = `${req.baseUrl || ''}${route}`
+    Object.assign(headers, {
+      'X-Total-Count': `${total}`,
+      Link: paginationLinks(path, ctx.query, window, total, paginate)
+    })
+
+    let content = items
+    if (envelope) {
+      const bounds = window.style === 'offset'
+        ? { [paginate.params.offset]: window.offset, [paginate.params.limit]: window.limit }
+        : { [paginate.params.page]: window.page, [paginate.params.per_page]: window.limit }
+      content = { [envelope === true ? 'data' : envelope]: content, total, ...bounds }
+    }
+
+    return {
+      code: res.code,
+      headers,
+      content,
+      delay: this._pickDelay(res.delay),
+      flow,
+      format: this._pickFormat(ctx, res)
+    }
+  }
+
+  /**
+   * Pick the body format of the response, negotiated with the client if the
+   * response has a list of formats.
+   *
+   * @param {RequestContextObject} ctx Current request context
+   * @param {ResponseHandler} res The response handler
+   * @returns {string}
+   */
+  _pickFormat (ctx, res) {
+    return Array.isArray(res.format)
+      ? negotiateFormat(ctx.headers.accept, res.format)
+      : res.format
+  }
+
+  /**
+   * Pick the milliseconds to wait before responding, from the delay of the
+   * response or else from the server-wide delay.
+   *
+   * @param {number|string?} delay The delay of the response
+   * @returns {number}
+   */
+  _pickDelay (delay) {
+    const formula = delay === undefined || delay === null ? this.delay : delay
+    if (formula === null) {
+      return 0
     }
+
+    const [min, max] = parseRange(formula, 0)
+
+    return randomBetween(min, max)
   }
 
   /**
    * Validate current incoming request against exception cases.
    *
    * @param {RequestContextObject} ctx The request context
-   * @returns {ResponseObject?}
+   * @returns {{ assertion: string, response: ResponseObject?, error: Error? }?}
    */
   _validateExceptions (ctx) {
     for (const [assertion, caseObject] of Object.entries(this.except.cases)) {
-      const { validate, response } = caseObject
-      for (const T of validate) {
-        const fn = Function('process', 'require', // mockup JS functionalities
-            `"use strict"; return ({ route, query, headers, payload }) => ${T}`)
-        const rs = fn()(ctx)
-        if (rs === undefined) {
-          continue // NOTE: Allow the user to skip optional validations...
-        } else if (rs !== true) {
-          if (!response.headers) {
-            response.headers = {}
-          }
-          Object.assign(response.headers, { 'X-Assertion': assertion })
-          return { assertion, response }
+      const { response } = caseObject
+      let passed
+      try {
+        passed = this.except.check(assertion, ctx)
+      } catch (error) {
+        return { assertion, error }
+      }
+      if (!passed) {
+        if (!response.headers) {
+          response.headers = {}
         }
+        Object.assign(response.headers, { 'X-Assertion': assertion })
+        return { assertion, response }
       }
     }
 
@@ -216,7 +1020,7 @@ class ContentBuilder {
     /**
      * @param {string} text
      */
-    const fn = (text) => interpret(fake(text), ctx, true)
+    const fn = (text) => interpret(fakeContent(text), ctx, true)
     if (rawHeaders) {
       return generateContent(rawHeaders, fn)
     }
@@ -235,7 +1039,7 @@ class ContentBuilder {
     /**
      * @param {string} text
      */
-    const fn = (text) => interpret(fake(text), ctx)
+    const fn = (text) => interpret(fakeContent(text), ctx)
 
     return generateContent(rawContent, fn)
   }
@@ -249,7 +1053,7 @@ class ContentBuilder {
    */
   _postprocessContent (content, { cast, repeat }) {
     if (repeat && Array.isArray(content)) {
-      content = repeatContent(content, repeat)
+      content = repeatContent(content, repeat, this.random)
     }
 
     if (cast) {
@@ -263,4 +1067,11 @@ class ContentBuilder {
   }
 }
 
-module.exports = { registerHttpCall, ContentBuilder }
+module.exports = {
+  SEED_HEADER,
+  registerHttpCall,
+  ROUTE_PRECEDENCES,
+  RouteConflictObject,
+  RouteRegistry,
+  ContentBuilder
+}
@@ -0,0 +1,402 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+const {
+  SCHEMA,
+  RequestHandler,
+  ResponseHandler,
+  ResponseSelector,
+  ExceptHandler,
+  StateHandler,
+  FaultHandler,
+  validateCondition
+} = require('./lib')
+const { ContentBuilder } = require('./api')
+const { validateLocale } = require('./mockup')
+
+/**
+ * Check Issue Object Interface.
+ *
+ * @type {{
+ *  file: string?,
+ *  path: string,
+ *  line: number?,
+ *  column: number?,
+ *  level: string,
+ *  message: string
+ * }}
+ */
+const CheckIssueObject = {
+  file: 'samplests/read-all-objects.json',
+  path: 'response.$data.cast["*.id"]',
+  line: 'line of syntax errors',
+  column: 'column of syntax errors',
+  level: 'error | warning',
+  message: 'Nothing to cast on *.id'
+}
+
+/**
+ * Get the known fields of an object of the samplest schema.
+ *
+ * @param {object} definition The schema of the object
+ * @returns {string[]}
+ */
+function fieldsOf (definition) {
+  return Object.keys(definition.properties)
+}
+
+/**
+ * Format a path of fields as JSON path (e.g. response.$data.cast["*.id"]).
+ *
+ * @param {Array<string|number>} path The fields of the path
+ * @returns {string}
+ */
+function formatPath (path) {
+  let text = ''
+  for (const field of path) {
+    if (typeof field === 'number') {
+      text += `[${field}]`
+    } else if (/^[a-z_$][a-z0-9_$]*$/i.test(field)) {
+      text += text === '' ? field : `.${field}`
+    } else {
+      text += `[${JSON.stringify(field)}]`
+    }
+  }
+
+  return text
+}
+
+/**
+ * Check if a value is a key-value object.
+ *
+ * @param {any} value The value to check
+ * @returns {boolean}
+ */
+function isObject (value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object
+}
+
+/**
+ * The samplest checker validates each part of a samplest on its own and
+ * collects all issues with their paths, instead of stopping at the first
+ * error like the content builder does.
+ */
+class SamplestChecker {
+  /**
+   * Initialize samplest checker.
+   */
+  constructor () {
+    this.issues = []
+  }
+
+  /**
+   * Collect an issue.
+   *
+   * @param {string} level The level of the issue
+   * @param {Array<string|number>} path The fields of the path
+   * @param {string} message The message of the issue
+   * @returns void
+   */
+  report (level, path, message) {
+    this.issues.push({ path: formatPath(path), level, message })
+  }
+
+  /**
+   * Run a validation and collect its error (if any).
+   *
+   * @param {Array<string|number>} path The fields of the path
+   * @param {CallableFunction} validation The validation to run
+   * @returns {boolean} True if the validation passed
+   */
+  attempt (path, validation) {
+    try {
+      validation()
+      return true
+    } catch (e) {
+      this.report('error', path, e.message)
+      return false
+    }
+  }
+
+  /**
+   * Collect warnings for unknown fields of an object.
+   *
+   * @param {object} value The object to check
+   * @param {string[]} fields The known fields
+   * @param {Array<string|number>} path The fields of the path
+   * @returns void
+   */
+  unknownFields (value, fields, path) {
+    for (const field of Object.keys(value)) {
+      if (fields.indexOf(field) === -1) {
+        this.report('warning', [...path, field], 'Unknown field is ignored')
+      }
+    }
+  }
+
+  /**
+   * Check a samplest and get all its issues.
+   *
+   * @param {object} samplest The samplest content
+   * @returns {CheckIssueObject[]}
+   */
+  check (samplest) {
+    this.issues = []
+    if (!isObject(samplest)) {
+      this.report('error', [], 'Samplest must be an object')
+      return this.issues
+    }
+
+    this.unknownFields(samplest, fieldsOf(SCHEMA), [])
+    const { request, response, responses, select, except, state, faults, locale } = samplest
+    this.checkRequest(request)
+
+    if (response !== undefined && responses !== undefined) {
+      this.report('error', ['responses'], 'Samplest must have either response or responses, not both')
+    } else if (responses !== undefined || select !== undefined) {
+      this.checkVariants(responses, select)
+    } else {
+      this.checkResponse(response, ['response'])
+    }
+
+    if (except !== undefined && except !== null) {
+      this.checkExcept(except)
+    }
+    if (state) {
+      const route = isObject(request) && typeof request.route === 'string' ? request.route : '/'
+      this.attempt(['state'], () => new StateHandler(state, route))
+    }
+    if (faults) {
+      this.checkFaults(faults)
+    }
+    if (locale !== undefined) {
+      this.attempt(['locale'], () => validateLocale(locale))
+    }
+
+    if (!this.issues.some(e => e.level === 'error')) {
+      this.attempt([], () => new ContentBuilder(samplest))
+    }
+
+    return this.issues
+  }
+
+  /**
+   * Check the request object.
+   *
+   * @param {RequestObject} request The request object
+   * @returns void
+   */
+  checkRequest (request) {
+    if (!isObject(request)) {
+      this.report('error', ['request'], request === undefined
+        ? 'Missing required field'
+        : 'Request must be an object')
+      return
+    }
+
+    this.unknownFields(request, fieldsOf(SCHEMA.definitions.request), ['request'])
+    for (const field of ['method', 'route', 'query', 'headers', 'payload', 'strict']) {
+      const value = request[field]
+      this.attempt(['request', field], () => {
+        if ((field === 'method' || field === 'route') && typeof value !== 'string') {
+          throw new Error(value === undefined ? 'Missing required field' : 'Must be a string')
+        }
+        RequestHandler.validateField(field, value)
+      })
+    }
+  }
+
+  /**
+   * Check a response object.
+   *
+   * @param {ResponseObject} response The response object
+   * @param {Array<string|number>} path The fields of the path
+   * @param {object} definition The schema of the response
+   * @returns {boolean} True if the response has no errors
+   */
+  checkResponse (response, path, definition = SCHEMA.definitions.response) {
+    if (!isObject(response)) {
+      this.report('error', path, response === undefined
+        ? 'Missing required field'
+        : 'Response must be an object')
+      return false
+    }
+
+    const errors = this.issues.length
+    this.unknownFields(response, fieldsOf(definition), path)
+    const { code, headers, data, $data, delay, format, file } = response
+
+    this.attempt([...path, 'code'], () => {
+      if (code === undefined || code === null) {
+        throw new Error('Missing required field')
+      }
+      ResponseHandler.validateField('code', code, response)
+    })
+    this.attempt([...path, 'headers'], () => {
+      if (headers !== undefined && !isObject(headers)) {
+        throw new Error('Headers must be an object')
+      }
+      ResponseHandler.validateField('headers', headers, response)
+    })
+    for (const [field, value] of Object.entries({ delay, file, format })) {
+      this.attempt([...path, field], () => ResponseHandler.validateField(field, value, response))
+    }
+    for (const [field, content] of Object.entries({ headers, data, file })) {
+      if (content !== undefined) {
+        this.attempt([...path, field], () => ResponseHandler.validateField('content', content, response))
+      }
+    }
+
+    if (isObject($data)) {
+      this.unknownFields($data, fieldsOf(SCHEMA.definitions.metadata), [...path, '$data'])
+      const { cast } = $data
+      if (isObject(cast)) {
+        for (const [key, type] of Object.entries(cast)) {
+          this.attempt([...path, '$data', 'cast', key], () => {
+            ResponseHandler.validateField('cast', { [key]: type }, response)
+          })
+        }
+      } else if (cast !== undefined) {
+        this.attempt([...path, '$data', 'cast'], () => ResponseHandler.validateField('cast', cast, response))
+      }
+      for (const field of ['repeat', 'paginate', 'query']) {
+        if ($data[field] !== undefined) {
+          this.attempt([...path, '$data', field], () => ResponseHandler.validateField(field, $data[field], response))
+        }
+      }
+    } else if ($data !== undefined && $data !== null) {
+      this.report('error', [...path, '$data'], 'Metadata must be an object')
+    }
+
+    return this.issues.length === errors ||
+      !this.issues.slice(errors).some(e => e.level === 'error')
+  }
+
+  /**
+   * Check the response variants and their selection strategy.
+   *
+   * @param {ResponseVariantObject[]} responses The response variants
+   * @param {string?} select The selection strategy
+   * @returns void
+   */
+  checkVariants (responses, select) {
+    if (!Array.isArray(responses) || responses.length === 0) {
+      this.report('error', ['responses'], 'Responses must be a non-empty list of response objects')
+      return
+    }
+
+    let valid = true
+    responses.forEach((variant, i) => {
+      valid = this.checkResponse(variant, ['responses', i], SCHEMA.definitions.variant) && valid
+      const weight = isObject(variant) ? variant.weight : undefined
+      if (weight !== undefined && (typeof weight !== 'number' || weight < 0)) {
+        this.report('error', ['responses', i, 'weight'], 'Weight must be a positive number')
+        valid = false
+      }
+    })
+    if (select !== undefined && ResponseSelector.STRATEGIES.indexOf(select) === -1) {
+      this.report('error', ['select'], `Unsupported response selection: ${select}`)
+    } else if (valid) {
+      this.attempt(['responses'], () => new ResponseSelector(responses, select))
+    }
+  }
+
+  /**
+   * Check the except cases.
+   *
+   * @param {ExceptObject} except The except cases
+   * @returns void
+   */
+  checkExcept (except) {
+    if (!isObject(except)) {
+      this.report('error', ['except'], 'Except must be an object')
+      return
+    }
+
+    for (const [assertion, caseObject] of Object.entries(except)) {
+      const path = ['except', assertion]
+      if (!isObject(caseObject)) {
+        this.report('error', path, 'Except case must be an object')
+        continue
+      }
+
+      this.unknownFields(caseObject, fieldsOf(SCHEMA.definitions.exceptCase), path)
+      const { validate, expect, response } = caseObject
+      if (expect !== undefined) {
+        this.attempt([...path, 'expect'], () => validateCondition(expect, 'expect'))
+      }
+      if (expect === undefined || validate !== undefined) {
+        if (!Array.isArray(validate) || validate.length === 0) {
+          this.report('error', [...path, 'validate'], 'Validate must be a non-empty list of JS rules')
+        } else {
+          validate.forEach((test, i) => {
+            this.attempt([...path, 'validate', i], () => {
+              if (typeof test !== 'string') {
+                throw new Error(`Rule must be a string, got ${typeof test}`)
+              }
+              ExceptHandler.compileRule(test, `except:${assertion}:${i}`)
+            })
+          })
+          this.report('warning', [...path, 'validate'], 'JS rules run only with --allow-js')
+        }
+      }
+      this.checkResponse(response, [...path, 'response'])
+    }
+  }
+
+  /**
+   * Check the faults of a samplest.
+   *
+   * @param {FaultObject} faults The faults
+   * @returns void
+   */
+  checkFaults (faults) {
+    if (!isObject(faults)) {
+      this.report('error', ['faults'], 'Faults must be an object')
+      return
+    }
+
+    let valid = true
+    for (const [fault, caseObject] of Object.entries(faults)) {
+      valid = this.attempt(['faults', fault], () => new FaultHandler({ [fault]: caseObject })) && valid
+    }
+    if (valid) {
+      this.attempt(['faults'], () => new FaultHandler(faults))
+    }
+  }
+}
+
+/**
+ * Check a samplest and get all its issues.
+ *
+ * @param {object} samplest The samplest content
+ * @returns {CheckIssueObject[]}
+ */
+function checkSamplest (samplest) {
+  return new SamplestChecker().check(samplest)
+}
+
+module.exports = {
+  CheckIssueObject,
+  SamplestChecker,
+  checkSamplest,
+  formatPath
+}
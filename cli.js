@@ -20,8 +20,13 @@
 // THE SOFTWARE.
 'use strict'
 
-const { readFileSync, writeFileSync, readdirSync, statSync } = require('fs')
-const { join } = require('path')
+const {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  existsSync
+} = require('fs')
+const { join, relative, extname } = require('path')
 
 const { ArgumentParser } = require('argparse')
 const Express = require('express')
@@ -29,26 +34,21 @@ const BodyParser = require('body-parser')
 const Table = require('cli-table')
 const Faker = require('faker')
 
-const { registerHttpCall, ContentBuilder } = require('./api')
-const { RequestObject, ResponseObject } = require('./lib')
-
-/**
- * Security warning for unsafe except cases.
- *
- * @param {string} file Unsafe filename
- * @returns {string}
- */
-function securityWarning (file) {
-  return `***
-Security warning! ExceptObject found in file "${file}"
-
-The ExceptObject allows deviation from the happy path, by allowing the user to
-have CUSTOM validation conditions. This feature require EXPLICIT permission to
-run JavaScript code!
-
-Restart samplest with the --allow-js flag, ONLY IF YOU KNOW WHAT YOU'RE DOING!
-***`
-}
+const { ROUTE_PRECEDENCES, ContentBuilder } = require('./api')
+const { ADMIN_PATH } = require('./admin')
+const { RequestJournal } = require('./journal')
+const { SCHEMA, nameSamplest, RequestObject, ResponseObject } = require('./lib')
+const { formatOfFile, stringifyDocument } = require('./fixtures')
+const { scanDirectory, describeConflicts, createServer } = require('./server')
+const { AUTO_LOCALE, LOCALES, withLocale, generatorArguments } = require('./mockup')
+const {
+  parseOpenApi,
+  importOpenApi,
+  exportOpenApi,
+  stringifyOpenApi
+} = require('./openapi')
+const { recordSamplest, forwardRequest } = require('./record')
+const { checkSamplest } = require('./check')
 
 /**
  * General available style for CLI output.
@@ -61,42 +61,6 @@ const CLI_STYLE = {
   }
 }
 
-/**
- * Iterate over a directory and retrieve a list of files.
- *
- * @param {string} dir The directory to scan
- * @param {string[]} files Accumulated files
- * @returns {string[]} List of files
- */
-function getFilesFromDirectory (dir, files = []) {
-  for (const fname of readdirSync(dir)) {
-    const fp = join(dir, fname)
-    if (statSync(fp).isDirectory()) {
-      files = getFilesFromDirectory(fp, files)
-    } else {
-      files.push(fp)
-    }
-  }
-
-  return files
-}
-
-/**
- * Scan a directory for JSON files and pair each file with its content.
- *
- * @param {string} dirpath The directory path
- * @returns {AsyncGenerator}
- */
-async function * scanDirectory (dirpath) {
-  const files = getFilesFromDirectory(dirpath)
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      const content = readFileSync(file, 'utf8')
-      yield [file, JSON.parse(content)]
-    }
-  }
-}
-
 // Allow the user to change the default host and port for the API
 // TODO: Test if the port is available?
 const host = process.env.HOST || '127.0.0.1'
@@ -123,61 +87,164 @@ cmd.addArgument(['--allow-js'], {
   defaultValue: false
 })
 
-// There can be only one parent directory with any number of JSON
-// files as samplests.
+// Except rules run in an isolated context and each rule has a limited time
+// to run, so an endless loop cannot hang the API.
+cmd.addArgument(['--js-timeout'], {
+  help: 'Milliseconds each CUSTOM JS validation is allowed to run',
+  type: 'int',
+  defaultValue: 100,
+  metavar: 'MS'
+})
+
+// There can be only one parent directory with any number of JSON, JSON5
+// or YAML files as samplests.
 cmd.addArgument(['-s', '--scan'], {
   help: 'The directory to scan for samplests'
 })
 
+// Changes to the scanned directory are applied on the running server. A
+// samplest that fails validation keeps its last good version online.
+cmd.addArgument(['-w', '--watch'], {
+  help: 'Reload samplests when files are added, changed or deleted',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+// The declared query, headers and payload of each request become a contract:
+// requests with missing, unknown or mistyped fields are rejected with 400.
+// A samplest can still opt out with "strict": false on its request.
+cmd.addArgument(['--strict'], {
+  help: 'Reject requests that do not match the samplest request',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+// Default latency of all responses, unless a response has its own delay.
+// It is either a fixed number of milliseconds or a range (e.g. 100..500)
+cmd.addArgument(['--delay'], {
+  help: 'Delay responses by milliseconds or by a range of milliseconds',
+  metavar: 'MS'
+})
+
+// Global fault profile applied to samplests without their own "faults"
+// (e.g. { "error": { "probability": 0.1, "code": 503 } })
+cmd.addArgument(['--faults'], {
+  help: 'Inject faults from a JSON profile into random responses',
+  metavar: 'FILE'
+})
+
+// Generate the same content for the same requests on each run. Clients can
+// also send their own seed with the X-Samplest-Seed header.
+cmd.addArgument(['--seed'], {
+  help: 'Seed to generate reproducible content'
+})
+
+// Mockup placeholders are generated in English, unless samplests have their
+// own locale. With "auto" the locale is negotiated with the Accept-Language
+// header of each request.
+cmd.addArgument(['--locale'], {
+  help: `The locale of mockup placeholders or ${AUTO_LOCALE} (from Accept-Language)`
+})
+
+// Routes are served in the order files are loaded, unless routes with static
+// segments are served first (e.g. /book/latest before /book/:book) with the
+// specific precedence. Duplicate and shadowed routes are reported either way.
+cmd.addArgument(['--precedence'], {
+  help: 'The precedence of routes: in file order or specific routes first',
+  choices: ROUTE_PRECEDENCES,
+  defaultValue: 'order'
+})
+
+// The admin API lists the served routes, their samplests and renders sample
+// responses for test harnesses and dashboards under a reserved path.
+cmd.addArgument(['--no-admin'], {
+  help: `Disable the admin API under ${ADMIN_PATH}`,
+  action: 'storeFalse',
+  dest: 'admin',
+  defaultValue: true
+})
+
+// The most recent requests are kept in a journal, so end-to-end tests can
+// verify what clients sent through the admin API.
+cmd.addArgument(['--journal-size'], {
+  help: `The number of requests kept in the journal (default: ${RequestJournal.DEFAULT_LIMIT}, 0 to disable)`,
+  metavar: 'N',
+  type: 'int',
+  defaultValue: RequestJournal.DEFAULT_LIMIT
+})
+
 /**
  * Start a development API from samplests.
  *
  * @param {string} dir The path to directory
- * @param {boolean} allowJs Permission to run JS code
  * @param {string} host The hostname to bind
  * @param {number} port The port to listen
+ * @param {{
+ *  allowJs: boolean,
+ *  strict: boolean,
+ *  delay: string?,
+ *  faults: string?,
+ *  seed: string?,
+ *  timeout: number,
+ *  locale: string?,
+ *  watch: boolean,
+ *  precedence: string,
+ *  admin: boolean,
+ *  journalSize: number
+ * }} options Server options
  * @returns {Promise<void>}
  */
-async function serve (dir, allowJs, host, port) {
-  const api = Express()
-  api.disable('x-powered-by')
-  api.use(BodyParser.json())
-  api.use(BodyParser.urlencoded({ extended: true }))
-  api.use(BodyParser.text())
-
-  const overviewTable = new Table(CLI_STYLE)
+async function serve (dir, host, port, { faults, ...options }) {
+  let profile = null
   try {
-    for await (const [file, content] of scanDirectory(dir)) {
-      const cb = new ContentBuilder(content)
-      if (cb.except !== null && allowJs !== true) {
-        throw new Error(`User permission required!\n${securityWarning(file)}`)
-      }
-      registerHttpCall(cb, api, (date, { flow, code }, req) => {
-        const entry = date.toISOString()
-        const { method, originalUrl } = req
-        flow = flow || 'Happy path'
-        console.log(`${entry} - ${method} ${originalUrl} (${code}; ${flow})`)
-      })
-      overviewTable.push({ [file]: `${cb.request}` })
+    if (faults !== null && faults !== undefined) {
+      profile = JSON.parse(readFileSync(faults, 'utf8'))
     }
   } catch (e) {
     console.log(`Failure: ${e.message}`)
     process.exit(1)
   }
 
-  if (overviewTable.length === 0) {
+  const server = createServer({ ...options, dirs: [dir], faults: profile, host, port, log: console.log })
+  try {
+    await server.load()
+  } catch (e) {
+    console.log(`Failure: ${e.message}\nRun with --check to report all issues`)
+    process.exit(1)
+  }
+
+  if (server.registry.size === 0) {
     console.log(`No samplests found! Is ${dir} the correct directory?`)
     process.exit(2)
   }
 
-  api.listen(port, host, () => {
-    console.log(`Samplest v${version} is up and running`)
-    console.log(` Address: http://${host}:${port}`)
-    console.log(`  Launch: ${new Date()}`)
-    console.log(`Homepage: ${homepage}`)
-    console.log(`Overview: ${overviewTable.length} file(s) imported`)
-    console.log(`\n${overviewTable}\n`)
-  })
+  // Samplests are listed in the order they receive requests
+  const overviewTable = new Table(CLI_STYLE)
+  const conflicts = describeConflicts(server.registry)
+  for (const { source, builder } of server.registry.routes) {
+    const conflict = conflicts.has(source) ? ` (${conflicts.get(source)})` : ''
+    overviewTable.push({ [source]: `${builder.request}${conflict}` })
+  }
+
+  try {
+    await server.listen()
+  } catch (e) {
+    console.log(`Failure: ${e.message}`)
+    process.exit(1)
+  }
+
+  console.log(`Samplest v${version} is up and running`)
+  console.log(` Address: ${server.address.url}`)
+  if (options.admin) {
+    console.log(`   Admin: ${server.address.url}${ADMIN_PATH}`)
+  }
+  console.log(`  Launch: ${new Date()}`)
+  console.log(`Homepage: ${homepage}`)
+  console.log(`Overview: ${overviewTable.length} file(s) imported`)
+  if (conflicts.size > 0) {
+    console.log(`Conflict: ${conflicts.size} route(s) never served`)
+  }
+  console.log(`\n${overviewTable}\n`)
 }
 
 // The list is generated by inspecting faker's components.
@@ -186,12 +253,14 @@ cmd.addArgument(['-l', '--list'], {
 })
 
 /**
- * List current supported placeholders to generate mockup data.
+ * List current supported placeholders to generate mockup data, with their
+ * arguments and an example in the given locale.
  *
  * @param {string} lookup Item to lookup for support
+ * @param {string?} locale The locale of the examples
  * @returns void
  */
-function listSupportedPlaceholders (lookup) {
+function listSupportedPlaceholders (lookup, locale = null) {
   let supported = [
     'name',
     'address',
@@ -205,7 +274,8 @@ function listSupportedPlaceholders (lookup) {
     'phone',
     'date',
     'commerce',
-    'system'
+    'system',
+    'random'
   ]
 
   if (lookup !== 'all') {
@@ -213,16 +283,19 @@ function listSupportedPlaceholders (lookup) {
   }
 
   const supportTable = new Table(CLI_STYLE)
-  for (const item of supported) {
-    const mockup = Faker[item]
-    for (const option of Object.keys(mockup)) {
-      const field = `${item}.${option}`
-      const value = `${mockup[option]()}`
-      supportTable.push({
-        [field]: value.length >= 64 ? value.substr(0, 60) + ' ...' : value
-      })
+  withLocale(locale === AUTO_LOCALE ? null : locale, () => {
+    for (const item of supported) {
+      const mockup = Faker[item]
+      const args = generatorArguments(item)
+      for (const option of Object.keys(mockup)) {
+        const field = `${item}.${option}(${(args[option] || []).join(', ')})`
+        const value = `${mockup[option]()}`
+        supportTable.push({
+          [field]: value.length >= 64 ? value.substr(0, 60) + ' ...' : value
+        })
+      }
     }
-  }
+  })
 
   console.log(`Samplest v${version} is using faker.js`)
   console.log(`Documentation: ${homepage}`)
@@ -232,26 +305,282 @@ function listSupportedPlaceholders (lookup) {
 // The content of the dump is not functional out of the box. The
 // user should consult the examples directory for resources.
 cmd.addArgument(['-d', '--dump'], {
-  help: 'Dump a samplest in JSON format'
+  help: 'Dump a samplest in JSON, JSON5 or YAML format'
+})
+
+// The format of the dump is derived from the file extension, unless it is
+// explicitly set. JSON is the default.
+cmd.addArgument(['--dump-format'], {
+  help: 'The format of the dumped samplest',
+  choices: ['json', 'json5', 'yaml']
 })
 
 /**
  * Dump object interfaces from lib as getting started samplest.
  *
  * @param {string} filepath The file path to use
+ * @param {string?} format The format of the samplest
  * @return void
  */
-function dumpSamplest (filepath) {
+function dumpSamplest (filepath, format = null) {
   if (!filepath.startsWith('/')) {
     filepath = join(process.cwd(), filepath)
   }
-  if (!filepath.endsWith('.json')) {
-    filepath += '.json'
+  const known = formatOfFile(filepath)
+  format = format || known || 'json'
+  if (known !== format) {
+    const base = known ? filepath.slice(0, -extname(filepath).length) : filepath
+    filepath = `${base}.${format}`
   }
-  writeFileSync(filepath, JSON.stringify({
+  writeFileSync(filepath, stringifyDocument({
     request: RequestObject,
     response: ResponseObject
-  }, null, 2))
+  }, format))
+}
+
+// Bootstrap samplests from an existing OpenAPI 3 document (JSON or YAML). One
+// samplest is written for each operation in the directory set by --scan.
+cmd.addArgument(['--import-openapi'], {
+  help: 'Write samplests from an OpenAPI 3 document into the scan directory',
+  metavar: 'FILE'
+})
+
+// Existing samplests are never replaced by an import, unless forced to.
+cmd.addArgument(['--force'], {
+  help: 'Overwrite existing samplests when importing an OpenAPI document',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+/**
+ * Import the operations of an OpenAPI document as samplests. Nothing is
+ * written if one of the samplests is invalid or already exists, unless
+ * forced to overwrite it.
+ *
+ * @param {string} file The OpenAPI document
+ * @param {string} dir The directory to write samplests
+ * @param {boolean} force Overwrite existing samplests
+ * @returns void
+ */
+function importSamplests (file, dir, force) {
+  const importTable = new Table(CLI_STYLE)
+  try {
+    const samplests = importOpenApi(parseOpenApi(readFileSync(file, 'utf8')))
+      .map(([name, samplest]) => [join(dir, `${name}.json`), samplest])
+    const existing = samplests.filter(([filepath]) => existsSync(filepath))
+    if (!force && existing.length > 0) {
+      throw new Error(`Refusing to overwrite ${existing.map(([e]) => e).join(', ')}, set --force to do so`)
+    }
+    const builders = samplests.map(([filepath, samplest]) => [filepath, samplest, new ContentBuilder(samplest)])
+    mkdirSync(dir, { recursive: true })
+    for (const [filepath, samplest, cb] of builders) {
+      writeFileSync(filepath, JSON.stringify(samplest, null, 2))
+      importTable.push({ [filepath]: `${cb.request}` })
+    }
+  } catch (e) {
+    console.log(`Failure: ${e.message}`)
+    process.exit(1)
+  }
+
+  console.log(`Samplest v${version} imported ${file}`)
+  console.log(`Overview: ${importTable.length} file(s) written`)
+  console.log(`\n${importTable}\n`)
+}
+
+// Share the samplests from the directory set by --scan as an OpenAPI 3 document.
+// The document is written as YAML if the file ends with .yaml or .yml
+cmd.addArgument(['--export-openapi'], {
+  help: 'Write an OpenAPI 3 document from the samplests of the scan directory',
+  metavar: 'FILE'
+})
+
+/**
+ * Export the samplests of a directory as an OpenAPI document.
+ *
+ * @param {string} dir The directory to scan for samplests
+ * @param {string} file The OpenAPI document to write
+ * @returns {Promise<void>}
+ */
+async function exportSamplests (dir, file) {
+  const samplests = []
+  try {
+    for await (const [filepath, content] of scanDirectory(dir)) {
+      const name = relative(dir, filepath).slice(0, -extname(filepath).length)
+      samplests.push([name.replace(/[\\/]+/g, '-'), content])
+    }
+    const doc = exportOpenApi(samplests, { title: `Samplest API (${dir})`, version: '1.0.0' })
+    writeFileSync(file, stringifyOpenApi(doc, /\.ya?ml$/i.test(file)))
+  } catch (e) {
+    console.log(`Failure: ${e.message}`)
+    process.exit(1)
+  }
+
+  console.log(`Samplest v${version} exported ${dir}`)
+  console.log(`Overview: ${samplests.length} file(s) written as ${file}`)
+}
+
+// Act as a reverse proxy for a real service and write a samplest for each new
+// method and route observed, in the directory set by --scan.
+cmd.addArgument(['--record'], {
+  help: 'Record samplests from traffic forwarded to the upstream service',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+cmd.addArgument(['--upstream'], {
+  help: 'The base URL of the service to record (e.g. http://localhost:3000)',
+  metavar: 'URL'
+})
+
+/**
+ * Headers of the upstream response that are set again by the proxy.
+ *
+ * @type {string[]}
+ */
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length']
+
+/**
+ * Start a reverse proxy to record samplests from traffic.
+ *
+ * @param {string} dir The directory to write samplests
+ * @param {string} upstream The base URL of the upstream service
+ * @param {string} host The hostname to bind
+ * @param {number} port The port to listen
+ * @returns {Promise<void>}
+ */
+async function record (dir, upstream, host, port) {
+  const api = Express()
+  api.disable('x-powered-by')
+  api.use(BodyParser.raw({ type: () => true, limit: '10mb' }))
+
+  // Samplests already in the directory are never overwritten
+  const recorded = new Set()
+  try {
+    mkdirSync(dir, { recursive: true })
+    for await (const [, content] of scanDirectory(dir)) {
+      const cb = new ContentBuilder(content)
+      recorded.add(`${cb.request}`)
+    }
+  } catch (e) {
+    console.log(`Failure: ${e.message}`)
+    process.exit(1)
+  }
+
+  api.use(async (req, res) => {
+    const entry = new Date().toISOString()
+    const { method, originalUrl, path, query, headers } = req
+    const body = Buffer.isBuffer(req.body) ? req.body : null
+
+    let response
+    try {
+      response = await forwardRequest(upstream, { method, url: originalUrl, headers, body })
+    } catch (e) {
+      console.log(`${entry} - ${method} ${originalUrl} (502; ${e.message})`)
+      return res.status(502).json({ error: `Upstream failure: ${e.message}` })
+    }
+
+    let flow = 'Proxied'
+    try {
+      const samplest = recordSamplest({ method, path, query, headers, body, response })
+      const cb = new ContentBuilder(samplest)
+      if (!recorded.has(`${cb.request}`)) {
+        const name = nameSamplest(cb.request.method, cb.request.route)
+        let filepath = join(dir, `${name}.json`)
+        for (let i = 2; existsSync(filepath); i++) {
+          filepath = join(dir, `${name}-${i}.json`)
+        }
+        writeFileSync(filepath, JSON.stringify(samplest, null, 2))
+        recorded.add(`${cb.request}`)
+        flow = `Recorded ${filepath}`
+      }
+    } catch (e) {
+      flow = `Not recorded: ${e.message}`
+    }
+
+    const responseHeaders = Object.assign({}, response.headers)
+    HOP_BY_HOP_HEADERS.forEach(e => delete responseHeaders[e])
+    res.status(response.code).set(responseHeaders).end(response.body)
+    console.log(`${entry} - ${method} ${originalUrl} (${response.code}; ${flow})`)
+  })
+
+  api.listen(port, host, () => {
+    console.log(`Samplest v${version} is recording`)
+    console.log(` Address: http://${host}:${port}`)
+    console.log(`Upstream: ${upstream}`)
+    console.log(`  Launch: ${new Date()}`)
+    console.log(`Overview: ${recorded.size} samplest(s) found in ${dir}`)
+  })
+}
+
+// Validate all samplests of the directory set by --scan without serving
+// them. All issues are reported and the exit code is non-zero on errors.
+cmd.addArgument(['--check'], {
+  help: 'Validate the samplests of the scan directory and report all issues',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+cmd.addArgument(['--format'], {
+  help: 'The format of the check report',
+  choices: ['text', 'json'],
+  defaultValue: 'text'
+})
+
+/**
+ * Check all samplests of a directory and print the issues.
+ *
+ * @param {string} dir The directory to scan for samplests
+ * @param {string} format The format of the report (text or json)
+ * @returns {Promise<void>}
+ */
+async function checkSamplests (dir, format) {
+  const issues = []
+  let total = 0
+  const unreadable = (file, e) => {
+    total++
+    const location = e.line ? { line: e.line, column: e.column } : {}
+    issues.push({ file, path: '', ...location, level: 'error', message: e.reason || e.message })
+  }
+  try {
+    for await (const [file, content] of scanDirectory(dir, unreadable)) {
+      total++
+      checkSamplest(content).forEach(e => issues.push({ file, ...e }))
+    }
+  } catch (e) {
+    console.log(`Failure: ${e.message}`)
+    process.exit(2)
+  }
+
+  const errors = issues.filter(e => e.level === 'error').length
+  const warnings = issues.length - errors
+  if (format === 'json') {
+    console.log(JSON.stringify({ files: total, errors, warnings, issues }, null, 2))
+  } else {
+    for (const { file, path, line, column, level, message } of issues) {
+      const location = line ? `${file}:${line}:${column}` : file
+      console.log(`${level.padEnd(7)} ${location}${path ? ` ${path}` : ''}: ${message}`)
+    }
+    console.log(`Checked ${total} file(s): ${errors} error(s), ${warnings} warning(s)`)
+  }
+
+  process.exitCode = errors > 0 ? 1 : 0
+}
+
+// The JSON Schema of samplests is shipped with the package. Print it to set
+// it up in editors for autocompletion and linting.
+cmd.addArgument(['--schema'], {
+  help: 'Print the JSON Schema of samplests',
+  action: 'storeTrue',
+  defaultValue: false
+})
+
+/**
+ * Print the JSON Schema of samplests.
+ *
+ * @return void
+ */
+function printSchema () {
+  console.log(JSON.stringify(SCHEMA, null, 2))
 }
 
 // Application entrypoint. Parse the command line arguments and
@@ -259,12 +588,51 @@ function dumpSamplest (filepath) {
 // if unexpected or unsupported content is found in "samplests"
 // Please open a ticket on github if you want to contribute.
 !(async (args, cmd) => {
-  if (args.scan !== null) {
-    await serve(args.scan, args.allow_js, host, port)
+  if (args.import_openapi !== null) {
+    if (args.scan === null) {
+      cmd.error('Set the directory to write samplests with --scan')
+    }
+    importSamplests(args.import_openapi, args.scan, args.force)
+  } else if (args.record) {
+    if (args.scan === null || args.upstream === null) {
+      cmd.error('Set the upstream with --upstream and the directory with --scan')
+    }
+    await record(args.scan, args.upstream, host, port)
+  } else if (args.check) {
+    if (args.scan === null) {
+      cmd.error('Set the directory of samplests with --scan')
+    }
+    await checkSamplests(args.scan, args.format)
+  } else if (args.export_openapi !== null) {
+    if (args.scan === null) {
+      cmd.error('Set the directory of samplests with --scan')
+    }
+    await exportSamplests(args.scan, args.export_openapi)
+  } else if (args.locale !== null && args.locale !== AUTO_LOCALE && LOCALES.indexOf(args.locale) === -1) {
+    cmd.error(`Unsupported locale ${args.locale}, expected ${AUTO_LOCALE} or one of ${LOCALES.join(', ')}`)
+  } else if (args.scan !== null) {
+    if (args.journal_size < 0) {
+      cmd.error('Set a positive number of requests with --journal-size')
+    }
+    await serve(args.scan, host, port, {
+      allowJs: args.allow_js,
+      strict: args.strict,
+      delay: args.delay,
+      faults: args.faults,
+      seed: args.seed,
+      timeout: args.js_timeout,
+      locale: args.locale,
+      watch: args.watch,
+      precedence: args.precedence,
+      admin: args.admin,
+      journalSize: args.journal_size
+    })
+  } else if (args.schema) {
+    printSchema()
   } else if (args.dump !== null) {
-    dumpSamplest(args.dump)
+    dumpSamplest(args.dump, args.dump_format)
   } else if (args.list !== null) {
-    listSupportedPlaceholders(args.list)
+    listSupportedPlaceholders(args.list, args.locale)
   } else {
     cmd.printHelp()
   }
@@ -0,0 +1,262 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+const YAML = require('js-yaml')
+const JSON5 = require('json5')
+const { readFileSync } = require('fs')
+const { dirname, resolve, extname } = require('path')
+
+/**
+ * Supported document formats by file extension.
+ *
+ * @type {Record<string, string>}
+ */
+const DOCUMENT_FORMATS = {
+  '.json': 'json',
+  '.json5': 'json5',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+}
+
+/**
+ * Get the document format of a file from its extension.
+ *
+ * @param {string} file The file path
+ * @returns {string?}
+ */
+function formatOfFile (file) {
+  return DOCUMENT_FORMATS[extname(file).toLowerCase()] || null
+}
+
+/**
+ * Get the line and column (1-based) of an offset in a text.
+ *
+ * @param {string} text The text
+ * @param {number} offset The offset
+ * @returns {[number, number]}
+ */
+function locate (text, offset) {
+  const lines = text.slice(0, offset).split('\n')
+
+  return [lines.length, lines[lines.length - 1].length + 1]
+}
+
+/**
+ * Parse the text of a document in its format. Syntax errors report the
+ * file, the line and the column (e.g. "book.yaml:3:7: bad indentation"),
+ * which are also set as fields of the error.
+ *
+ * @param {string} text The text to parse
+ * @param {string} format The document format
+ * @param {string} file The file path to report errors
+ * @throws {Error} Syntax error
+ * @returns {any}
+ */
+function parseDocument (text, format, file) {
+  try {
+    if (format === 'yaml') {
+      return YAML.load(text, { filename: file })
+    } else if (format === 'json5') {
+      return JSON5.parse(text)
+    }
+    return JSON.parse(text)
+  } catch (e) {
+    let [line, column, reason] = [null, null, e.message]
+    if (e.mark) {
+      [line, column, reason] = [e.mark.line + 1, e.mark.column + 1, e.reason]
+    } else if (e.lineNumber) {
+      [line, column] = [e.lineNumber, e.columnNumber]
+      reason = reason.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '')
+    } else if (/line \d+ column \d+/.test(reason)) {
+      [line, column] = reason.match(/line (\d+) column (\d+)/).slice(1).map(Number)
+    } else if (/position \d+/.test(reason)) {
+      [line, column] = locate(text, Number(reason.match(/position (\d+)/)[1]))
+    } else if (/end of/i.test(reason)) {
+      [line, column] = locate(text, text.length)
+    }
+    reason = reason.replace(/ in JSON at position \d+.*$/, '')
+    const error = new Error(line === null
+      ? `${file}: ${reason}`
+      : `${file}:${line}:${column}: ${reason}`)
+    throw Object.assign(error, { file, line, column, reason })
+  }
+}
+
+/**
+ * Read and parse a document (e.g. samplest or fixture file) in the format
+ * of its extension, or as JSON otherwise.
+ *
+ * @param {string} file The file path
+ * @throws {Error} Syntax error
+ * @returns {any}
+ */
+function readDocument (file) {
+  return parseDocument(readFileSync(file, 'utf8'), formatOfFile(file) || 'json', file)
+}
+
+/**
+ * Serialize a document in a format.
+ *
+ * @param {any} content The content to serialize
+ * @param {string} format The document format
+ * @returns {string}
+ */
+function stringifyDocument (content, format) {
+  if (format === 'yaml') {
+    return YAML.dump(content, { noRefs: true, lineWidth: -1 })
+  } else if (format === 'json5') {
+    return JSON5.stringify(content, null, 2) + '\n'
+  }
+
+  return JSON.stringify(content, null, 2)
+}
+
+/**
+ * Get the node of a document from a JSON pointer (e.g. "/items/0/name").
+ *
+ * @param {any} doc The document
+ * @param {string} pointer The JSON pointer (RFC 6901)
+ * @throws {Error} Missing node
+ * @returns {any}
+ */
+function resolvePointer (doc, pointer) {
+  if (pointer === '' || pointer === '/') {
+    return doc
+  } else if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer: ${pointer}`)
+  }
+
+  let node = doc
+  for (const token of pointer.slice(1).split('/')) {
+    const field = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~')
+    if (node === null || typeof node !== 'object' || !(field in node)) {
+      throw new Error(`Missing node "${field}" of JSON pointer ${pointer}`)
+    }
+    node = node[field]
+  }
+
+  return node
+}
+
+/**
+ * Replace every reference object (e.g. { "$ref": "./fixtures/product.json#/item" })
+ * with the node it points to. Files are relative to the file that declares
+ * the reference and a reference without file points to the same file.
+ *
+ * @param {any} value The value to resolve
+ * @param {string} file The file of the value
+ * @param {{
+ *  cache: Map<string, any>,
+ *  stack: string[],
+ *  files: Set<string>
+ * }} state Documents read so far, references being resolved and fixture files
+ * @throws {Error} Circular $ref
+ * @throws {Error} Cannot resolve $ref
+ * @returns {any}
+ */
+function resolveRefs (value, file, state = {}) {
+  const { cache = new Map(), stack = [], files = new Set() } = state
+  if (Array.isArray(value)) {
+    return value.map(e => resolveRefs(e, file, { cache, stack, files }))
+  } else if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  const keys = Object.keys(value)
+  if (keys.length !== 1 || keys[0] !== '$ref' || typeof value.$ref !== 'string') {
+    const resolved = {}
+    for (const [k, v] of Object.entries(value)) {
+      resolved[k] = resolveRefs(v, file, { cache, stack, files })
+    }
+    return resolved
+  }
+
+  const ref = value.$ref
+  const hash = ref.indexOf('#')
+  const target = hash === -1 ? ref : ref.slice(0, hash)
+  const pointer = hash === -1 ? '' : ref.slice(hash + 1)
+  const source = resolve(target ? resolve(dirname(file), target) : file)
+
+  const key = `${source}#${pointer}`
+  if (stack.indexOf(key) > -1) {
+    throw new Error(`Circular $ref: ${[...stack, key].join(' -> ')}`)
+  }
+
+  let node
+  try {
+    if (!cache.has(source)) {
+      cache.set(source, readDocument(source))
+    }
+    node = resolvePointer(cache.get(source), pointer)
+  } catch (e) {
+    throw new Error(`Cannot resolve $ref "${ref}" in ${file}: ${e.message}`)
+  }
+  if (target) {
+    files.add(source)
+  }
+
+  return resolveRefs(node, source, { cache, stack: [...stack, key], files })
+}
+
+/**
+ * Resolve the references of the responses of a samplest: the response, the
+ * response variants and the responses of except cases.
+ *
+ * @param {object} samplest The samplest content
+ * @param {string} file The samplest file
+ * @returns {[object, Set<string>]} The samplest and its fixture files
+ */
+function resolveSamplest (samplest, file) {
+  const files = new Set()
+  if (samplest === null || typeof samplest !== 'object') {
+    return [samplest, files]
+  }
+
+  const state = { cache: new Map([[resolve(file), samplest]]), files }
+  const resolved = { ...samplest }
+  for (const field of ['response', 'responses']) {
+    if (field in resolved) {
+      resolved[field] = resolveRefs(resolved[field], file, state)
+    }
+  }
+  if (resolved.except && typeof resolved.except === 'object') {
+    resolved.except = { ...resolved.except }
+    for (const [assertion, caseObject] of Object.entries(resolved.except)) {
+      if (caseObject && typeof caseObject === 'object' && 'response' in caseObject) {
+        const response = resolveRefs(caseObject.response, file, state)
+        resolved.except[assertion] = { ...caseObject, response }
+      }
+    }
+  }
+
+  return [resolved, files]
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  formatOfFile,
+  parseDocument,
+  readDocument,
+  stringifyDocument,
+  resolvePointer,
+  resolveRefs,
+  resolveSamplest
+}
@@ -0,0 +1,255 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+/**
+ * Supported body formats of responses and their default content types.
+ *
+ * @type {Record<string, string>}
+ */
+const FORMATS = {
+  json: 'application/json',
+  text: 'text/plain',
+  html: 'text/html',
+  xml: 'application/xml',
+  csv: 'text/csv',
+  file: 'application/octet-stream'
+}
+
+/**
+ * Get the body format of a content type (e.g. "text/xml; charset=utf-8").
+ *
+ * @param {string?} type The content type
+ * @returns {string?} The format or null for unknown content types
+ */
+function formatOf (type) {
+  const mime = `${type || ''}`.split(';')[0].trim().toLowerCase()
+  if (mime === '') {
+    return null
+  } else if (mime.endsWith('json')) {
+    return 'json'
+  } else if (mime.endsWith('xml')) {
+    return 'xml'
+  } else if (mime === 'text/csv') {
+    return 'csv'
+  } else if (mime === 'text/html') {
+    return 'html'
+  } else if (mime.startsWith('text/')) {
+    return 'text'
+  }
+
+  return null
+}
+
+/**
+ * Pick the format preferred by the Accept header of a request from a list
+ * of formats, or the first format if the client accepts none of them.
+ *
+ * @param {string?} accept The Accept header
+ * @param {string[]} formats The formats to choose from
+ * @returns {string}
+ */
+function negotiateFormat (accept, formats) {
+  const ranges = `${accept || ''}`.split(',').map((e, i) => {
+    const [range, ...params] = e.split(';').map(p => p.trim().toLowerCase())
+    const q = params.find(p => p.startsWith('q='))
+    return { range, q: q ? parseFloat(q.slice(2)) || 0 : 1, i }
+  }).filter(e => e.range && e.q > 0)
+
+  let best = null
+  for (const format of formats) {
+    const [type] = FORMATS[format].split('/')
+    for (const { range, q, i } of ranges) {
+      const matches = range === FORMATS[format] || range === '*/*' || range === `${type}/*`
+      const specific = range.indexOf('*') === -1
+      if (matches && (best === null || q > best.q || (q === best.q && specific && !best.specific) ||
+          (q === best.q && specific === best.specific && i < best.i))) {
+        best = { format, q, i, specific }
+      }
+    }
+  }
+
+  return best === null ? formats[0] : best.format
+}
+
+/**
+ * Escape special characters of XML text and attribute values.
+ *
+ * @param {any} value The value to escape
+ * @returns {string}
+ */
+function escapeXml (value) {
+  return `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Get a valid XML element name from any field name.
+ *
+ * @param {string} name The field name
+ * @returns {string}
+ */
+function xmlName (name) {
+  const text = `${name}`.replace(/[^a-z0-9_.-]+/ig, '_')
+
+  return /^[a-z_]/i.test(text) ? text : `_${text}`
+}
+
+/**
+ * Build an XML element from a value of the data tree. Fields of objects are
+ * child elements, except fields prefixed by "@" which are attributes and
+ * the "#text" field which is the text of the element. Items of lists are
+ * repeated elements with the same name.
+ *
+ * @param {string} name The element name
+ * @param {any} value The value of the element
+ * @returns {string}
+ */
+function xmlElement (name, value) {
+  const tag = xmlName(name)
+  if (Array.isArray(value)) {
+    return value.map(e => xmlElement(name, e)).join('')
+  } else if (value === null || value === undefined) {
+    return `<${tag}/>`
+  } else if (typeof value !== 'object') {
+    return `<${tag}>${escapeXml(value)}</${tag}>`
+  }
+
+  let attributes = ''
+  let children = ''
+  for (const [k, v] of Object.entries(value)) {
+    if (k.startsWith('@')) {
+      attributes += ` ${xmlName(k.slice(1))}="${escapeXml(v)}"`
+    } else if (k === '#text') {
+      children += escapeXml(v)
+    } else {
+      children += xmlElement(k, v)
+    }
+  }
+
+  return children === ''
+    ? `<${tag}${attributes}/>`
+    : `<${tag}${attributes}>${children}</${tag}>`
+}
+
+/**
+ * Build an XML document from a data tree. An object with a single field is
+ * the root element itself, otherwise the data is wrapped in a "response"
+ * root element and the items of a list are "item" elements.
+ *
+ * @param {any} data The data tree
+ * @returns {string}
+ */
+function toXml (data) {
+  const declaration = '<?xml version="1.0" encoding="UTF-8"?>'
+  if (data && data.constructor === Object) {
+    const fields = Object.keys(data)
+    if (fields.length === 1 && !fields[0].startsWith('@') && !Array.isArray(data[fields[0]])) {
+      return declaration + xmlElement(fields[0], data[fields[0]])
+    }
+  }
+
+  return declaration + xmlElement('response', Array.isArray(data) ? { item: data } : data)
+}
+
+/**
+ * Escape a CSV field (RFC 4180). Objects and lists are written as JSON.
+ *
+ * @param {any} value The value of the field
+ * @returns {string}
+ */
+function csvField (value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build CSV rows from a list of objects, with a header row of all fields in
+ * order of appearance. Lists of lists are written as rows without header.
+ *
+ * @param {any} data The list of rows
+ * @returns {string}
+ */
+function toCsv (data) {
+  const rows = Array.isArray(data) ? data : [data]
+  if (rows.every(e => Array.isArray(e))) {
+    return rows.map(e => e.map(csvField).join(',')).join('\r\n') + '\r\n'
+  }
+
+  const fields = []
+  for (const row of rows) {
+    for (const field of Object.keys(row && typeof row === 'object' ? row : {})) {
+      if (fields.indexOf(field) === -1) {
+        fields.push(field)
+      }
+    }
+  }
+
+  const lines = [fields.map(csvField).join(',')]
+  for (const row of rows) {
+    lines.push(fields.map(e => csvField(row && row[e])).join(','))
+  }
+
+  return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Serialize the content of a response into its body format. Text content
+ * is sent as it is in all formats except JSON.
+ *
+ * @param {any} content The content to serialize
+ * @param {string} format The body format
+ * @returns {string}
+ */
+function serializeContent (content, format) {
+  if (format === 'json' || format === 'file') {
+    return JSON.stringify(content) || 'null'
+  } else if (typeof content === 'string') {
+    return content
+  } else if (format === 'xml') {
+    return toXml(content)
+  } else if (format === 'csv') {
+    return toCsv(content)
+  } else if (content === null || content === undefined) {
+    return ''
+  } else if (typeof content !== 'object') {
+    return `${content}`
+  }
+
+  return JSON.stringify(content, null, 2)
+}
+
+module.exports = {
+  FORMATS,
+  formatOf,
+  negotiateFormat,
+  toXml,
+  toCsv,
+  serializeContent
+}
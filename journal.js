@@ -0,0 +1,334 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+'use strict'
+
+const { validateCondition, matchCondition } = require('./lib')
+
+/**
+ * The flow of requests answered with the response of the samplest.
+ *
+ * @type {string}
+ */
+const HAPPY_PATH = 'Happy path'
+
+/**
+ * Journal Entry Object Interface. The request is kept as sent by the client,
+ * while the context also holds the defaults of the samplest, as seen by the
+ * except cases, and is the one matched by where conditions.
+ *
+ * @type {{
+ *  id: number,
+ *  time: string,
+ *  source: string,
+ *  method: string,
+ *  path: string,
+ *  route: string,
+ *  flow: string,
+ *  code: number|string?,
+ *  request: {
+ *    route: Record<string, string>,
+ *    query: Record<string, string|string[]>,
+ *    headers: Record<string, string>,
+ *    payload: any
+ *  },
+ *  context: RequestContextObject
+ * }}
+ */
+const JournalEntryObject = {
+  id: 1,
+  time: '2020-08-02T14:17:56.000Z',
+  source: 'examples/safe/create.json',
+  method: 'POST',
+  path: '/api/v1/book',
+  route: '/api/v1/book',
+  flow: 'Happy path | assertion name | Variant N | fault',
+  code: '201 | null (no response)',
+  request: {
+    route: {},
+    query: {},
+    headers: {
+      'content-type': 'application/json'
+    },
+    payload: {
+      title: 'The lord of the rings'
+    }
+  },
+  context: 'RequestContextObject (with the defaults of the samplest)'
+}
+
+/**
+ * Journal Query Object Interface. All fields are optional and the entries
+ * must match all of them.
+ *
+ * @type {{
+ *  source: string?,
+ *  method: string?,
+ *  path: string?,
+ *  route: string?,
+ *  flow: string?,
+ *  code: number|string?,
+ *  where: ConditionObject?
+ * }}
+ */
+const JournalQueryObject = {
+  source: 'examples/safe/create.json',
+  method: 'POST',
+  path: '/api/v1/book',
+  route: '/api/v1/book',
+  flow: 'Happy path',
+  code: 201,
+  where: {
+    'payload.title': 'The lord of the rings'
+  }
+}
+
+/**
+ * Call Count Object Interface. Without any field, at least one call is
+ * expected.
+ *
+ * @type {{
+ *  times: number?,
+ *  atLeast: number?,
+ *  atMost: number?
+ * }}
+ */
+const CallCountObject = {
+  times: 1,
+  atLeast: 'number (ignored if times is set)',
+  atMost: 'number (ignored if times is set)'
+}
+
+/**
+ * Verification Object Interface.
+ *
+ * @type {{
+ *  verified: boolean,
+ *  count: number,
+ *  message: string,
+ *  entries: JournalEntryObject[]
+ * }}
+ */
+const VerificationObject = {
+  verified: true,
+  count: 1,
+  message: 'Expected exactly 1 matching call(s), found 1',
+  entries: ['JournalEntryObject']
+}
+
+/**
+ * The request journal keeps the most recent requests answered by samplests,
+ * so tests can query and verify what a client actually sent.
+ */
+class RequestJournal {
+  /**
+   * Initialize request journal.
+   *
+   * @param {number} limit The maximum number of entries (0 to disable)
+   * @throws {Error} Journal limit must be a positive integer
+   */
+  constructor (limit = RequestJournal.DEFAULT_LIMIT) {
+    this.limit = this._validateLimit(limit)
+    this.entries = []
+    this.counter = 0
+  }
+
+  /**
+   * Default maximum number of entries.
+   *
+   * @type {number}
+   */
+  static get DEFAULT_LIMIT () {
+    return 1000
+  }
+
+  /**
+   * Check if the maximum number of entries is a positive integer.
+   *
+   * @param {number|string} limit The limit to validate
+   * @throws {Error} Journal limit must be a positive integer
+   * @returns {number}
+   */
+  _validateLimit (limit) {
+    const value = Number(limit)
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Journal limit must be a positive integer, got ${limit}`)
+    }
+
+    return value
+  }
+
+  /**
+   * Check if a query of entries is properly formatted.
+   *
+   * @param {JournalQueryObject} query The query to validate
+   * @throws {Error} Journal query is invalid
+   * @returns {JournalQueryObject}
+   */
+  _validateQuery (query) {
+    if (!query || typeof query !== 'object' || query.constructor !== Object) {
+      throw new Error('Journal query must be an object')
+    }
+    if (query.where !== undefined && query.where !== null) {
+      validateCondition(query.where, 'where')
+    }
+
+    return query
+  }
+
+  /**
+   * Check if the expected number of calls is properly formatted.
+   *
+   * @param {CallCountObject} count The expected number of calls
+   * @throws {Error} Call count must be a positive integer
+   * @returns {[number, number]} The minimum and maximum number of calls
+   */
+  _validateCallCount ({ times, atLeast, atMost }) {
+    for (const [name, value] of Object.entries({ times, atLeast, atMost })) {
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`Call count "${name}" must be a positive integer, got ${value}`)
+      }
+    }
+    if (Number.isInteger(times)) {
+      return [times, times]
+    }
+
+    return [
+      Number.isInteger(atLeast) ? atLeast : Number.isInteger(atMost) ? 0 : 1,
+      Number.isInteger(atMost) ? atMost : Infinity
+    ]
+  }
+
+  /**
+   * Add a request to the journal. The oldest entry is dropped if the journal
+   * is full.
+   *
+   * @param {{
+   *  source: string,
+   *  method: string,
+   *  path: string,
+   *  route: string,
+   *  flow: string?,
+   *  code: number|string?,
+   *  request: object,
+   *  context: RequestContextObject
+   * }} call The answered request
+   * @returns {JournalEntryObject?}
+   */
+  record ({ source, method, path, route, flow, code, request, context }) {
+    if (this.limit === 0) {
+      return null
+    }
+
+    const entry = {
+      id: ++this.counter,
+      time: new Date().toISOString(),
+      source,
+      method: method.toUpperCase(),
+      path,
+      route,
+      flow: flow || HAPPY_PATH,
+      code,
+      request,
+      context
+    }
+    this.entries.push(entry)
+    if (this.entries.length > this.limit) {
+      this.entries.shift()
+    }
+
+    return entry
+  }
+
+  /**
+   * Find the entries that match a query, from the oldest to the newest.
+   *
+   * @param {JournalQueryObject} query The query of entries
+   * @throws {Error} Journal query is invalid
+   * @returns {JournalEntryObject[]}
+   */
+  find (query = {}) {
+    const { source, method, path, route, flow, code, where } = this._validateQuery(query)
+    const given = (value) => value !== undefined && value !== null
+
+    return this.entries.filter(e => {
+      return (!given(source) || e.source === source) &&
+        (!given(method) || e.method === `${method}`.toUpperCase()) &&
+        (!given(path) || e.path === path) &&
+        (!given(route) || e.route === route) &&
+        (!given(flow) || e.flow === flow) &&
+        (!given(code) || `${e.code}` === `${code}`) &&
+        (!given(where) || matchCondition(where, e.context))
+    })
+  }
+
+  /**
+   * Verify the number of entries that match a query.
+   *
+   * @param {JournalQueryObject} query The query of entries
+   * @param {CallCountObject} count The expected number of calls
+   * @throws {Error} Journal query or call count is invalid
+   * @returns {VerificationObject}
+   */
+  verify (query = {}, count = {}) {
+    const [min, max] = this._validateCallCount(count)
+    const entries = this.find(query)
+    const expected = min === max
+      ? `exactly ${min}`
+      : max === Infinity ? `at least ${min}` : min === 0 ? `at most ${max}` : `between ${min} and ${max}`
+
+    return {
+      verified: entries.length >= min && entries.length <= max,
+      count: entries.length,
+      message: `Expected ${expected} matching call(s), found ${entries.length}`,
+      entries
+    }
+  }
+
+  /**
+   * Remove all entries from the journal.
+   *
+   * @returns {number} The number of removed entries
+   */
+  reset () {
+    const removed = this.entries.length
+    this.entries = []
+
+    return removed
+  }
+
+  /**
+   * Total number of entries.
+   *
+   * @type {number}
+   */
+  get size () {
+    return this.entries.length
+  }
+}
+
+module.exports = {
+  HAPPY_PATH,
+  JournalEntryObject,
+  JournalQueryObject,
+  CallCountObject,
+  VerificationObject,
+  RequestJournal
+}
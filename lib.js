@@ -19,6 +19,18 @@
 // SOFTWARE.
 'use strict'
 
+const vm = require('vm')
+
+const { formatOf } = require('./format')
+const { validateMockups } = require('./mockup')
+
+/**
+ * JSON Schema of samplests, the source of truth of supported options.
+ *
+ * @type {object}
+ */
+const SCHEMA = require('./samplest.schema.json')
+
 /**
  * Wildcard char to lookup any item from a dataset.
  *
@@ -27,7 +39,7 @@
 const WILDCARD = '*'
 
 /**
- * Capture all placeholders from content.
+ * Capture all placeholders from content, with their filters (if any).
  *
  * @param {string} content The content to parse
  * @returns {Generator}
@@ -35,28 +47,127 @@ const WILDCARD = '*'
 function * capture (content) {
   let placeholder
 
-  const regex = /\{{1}([a-z0-9\.\-_]+)\}{1}/ig
+  const regex = /\{{1}([a-z0-9\.\-_]+(?:\|[a-z]+(?::[^|{}]*)?)*)\}{1}/ig
   while ((placeholder = regex.exec(content)) !== null) {
     yield placeholder[1]
   }
 }
 
 /**
- * Interpret a given string to generate content from context.
+ * Convert a value to a date from a timestamp in milliseconds (e.g. the time
+ * of the request context) or from a date string.
+ *
+ * @param {any} value The value to convert
+ * @returns {Date?} The date or null if invalid
+ */
+function toDate (value) {
+  const date = new Date(/^\d+$/.test(`${value}`) ? Number(value) : `${value}`)
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Filters of placeholders, each transforming the value of a field from the
+ * context with an optional argument (e.g. {query.limit|default:10}). Only
+ * the default filter is applied to missing values (null).
+ *
+ * @type {Record<string, CallableFunction>}
+ */
+const PLACEHOLDER_FILTERS = {
+  default: (value, arg = '') => value === null || value === '' ? arg : value,
+  upper: (value) => `${value}`.toUpperCase(),
+  lower: (value) => `${value}`.toLowerCase(),
+  trim: (value) => `${value}`.trim(),
+  int: (value) => {
+    const num = parseInt(`${value}`, 10)
+    return isNaN(num) ? `<"${value}" is not a number>` : num
+  },
+  float: (value) => {
+    const num = parseFloat(`${value}`)
+    return isNaN(num) ? `<"${value}" is not a number>` : num
+  },
+  date: (value, format = 'iso') => {
+    const date = toDate(value)
+    if (date === null) {
+      return `<"${value}" is not a date>`
+    }
+    return {
+      iso: () => date.toISOString(),
+      date: () => date.toISOString().slice(0, 10),
+      time: () => date.toISOString().slice(11, 19),
+      utc: () => date.toUTCString(),
+      unix: () => Math.floor(date.getTime() / 1000),
+      ms: () => date.getTime()
+    }[format]()
+  },
+  join: (value, separator = ',') => Array.isArray(value) ? value.join(separator) : `${value}`,
+  json: (value) => JSON.stringify(value)
+}
+
+/**
+ * Supported formats of the date filter.
+ *
+ * @type {string[]}
+ */
+const DATE_FORMATS = ['iso', 'date', 'time', 'utc', 'unix', 'ms']
+
+/**
+ * Parse a placeholder into its field and its filters with their arguments
+ * (e.g. "payload.tags|join:, " => ["payload.tags", [["join", ", "]]]).
+ *
+ * @param {string} placeholder The placeholder without curly brackets
+ * @throws {Error} Unsupported placeholder filter
+ * @returns {[string, Array<[string, string?]>]}
+ */
+function parsePlaceholder (placeholder) {
+  const [field, ...pipes] = placeholder.split('|')
+  const filters = pipes.map(pipe => {
+    const index = pipe.indexOf(':')
+    const name = index === -1 ? pipe : pipe.slice(0, index)
+    const arg = index === -1 ? undefined : pipe.slice(index + 1)
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDER_FILTERS, name)) {
+      throw new Error(`Unsupported filter "${name}" in placeholder {${placeholder}}`)
+    } else if (name === 'date' && arg !== undefined && DATE_FORMATS.indexOf(arg) === -1) {
+      throw new Error(`Unsupported date format "${arg}" in placeholder {${placeholder}}, ` +
+        `expected one of ${DATE_FORMATS.join(', ')}`)
+    }
+    return [name, arg]
+  })
+
+  return [field, filters]
+}
+
+/**
+ * Interpret a given string to generate content from context. Placeholders
+ * with missing values are left unchanged, unless they have a default. A
+ * text of one placeholder with filters keeps the type of the filtered value
+ * (e.g. "{route.id|int}" is a number).
  *
  * @param {string} text The string to interpret
  * @param {RequestContextObject} ctx The available context
  * @param {boolean} lower Optional flag to lowercase variable
- * @returns {string}
+ * @returns {string|any}
  */
 function interpret (text, ctx, lower = false) {
   const cm = new ContextManager(ctx)
-  for (const variable of capture(text)) {
-    const needle = lower ? variable.toLowerCase() : variable
-    const value = cm.get(needle)
-    if (value !== null) {
-      text = text.replace(`{${variable}}`, value)
+  for (const placeholder of capture(text)) {
+    let field, filters
+    try {
+      [field, filters] = parsePlaceholder(placeholder)
+    } catch (e) {
+      continue // NOTE: unsupported filters are reported on validation
     }
+    let value = cm.get(lower ? field.toLowerCase() : field)
+    for (const [name, arg] of filters) {
+      if (value !== null || name === 'default') {
+        value = PLACEHOLDER_FILTERS[name](value, arg)
+      }
+    }
+    if (value === null) {
+      continue
+    } else if (filters.length > 0 && text === `{${placeholder}}`) {
+      return value
+    }
+    text = text.replace(`{${placeholder}}`, () => value)
   }
 
   return text
@@ -71,7 +182,9 @@ function interpret (text, ctx, lower = false) {
  */
 function generateContent (data, tf = null) {
   const content = JSON.parse(data)
-  if (Array.isArray(content)) {
+  if (content === null) {
+    return null
+  } else if (Array.isArray(content)) {
     for (let i = 0; i < content.length; i++) {
       content[i] = generateContent(JSON.stringify(content[i]), tf)
     }
@@ -90,24 +203,83 @@ function generateContent (data, tf = null) {
   return tf instanceof Function ? tf(textContent) : textContent
 }
 
+/**
+ * Parse a fixed number or a range formula (e.g. "5", "1..10" or "..10") into
+ * its bounds. Missing bounds of a range are replaced by the fallback value.
+ *
+ * @param {string|number} formula The formula to parse
+ * @param {number} fallback Value of missing bounds
+ * @returns {[number, number]}
+ */
+function parseRange (formula, fallback) {
+  const text = formula.toString()
+  if (text.indexOf('..') === -1) {
+    const value = parseInt(text, 10)
+    return [value, value]
+  }
+
+  const [min, max] = text.split('..', 2)
+
+  return [parseInt(min, 10) || fallback, parseInt(max, 10) || fallback]
+}
+
+/**
+ * Get a random integer between two bounds (inclusive).
+ *
+ * @param {number} min The lower bound
+ * @param {number} max The upper bound
+ * @param {CallableFunction} random Source of random numbers in [0, 1)
+ * @returns {number}
+ */
+function randomBetween (min, max, random = Math.random) {
+  return Math.floor(random() * (max - min + 1) + min)
+}
+
+/**
+ * Hash any text into a positive 32-bit integer to use as seed (FNV-1a).
+ *
+ * @param {string} text The text to hash
+ * @returns {number}
+ */
+function hashSeed (text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+
+  return hash || 1 // NOTE: zero is not a seed for faker
+}
+
+/**
+ * Create a source of reproducible random numbers in [0, 1) from a seed, as
+ * a replacement for Math.random (mulberry32).
+ *
+ * @param {number} seed The seed as 32-bit integer
+ * @returns {CallableFunction}
+ */
+function seededRandom (seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
 /**
  * Repeat the elements of a list by a fixed or random number from a range.
  *
  * @param {any[]} list Anything iterable
  * @param {string} formula Repeat formula to apply
+ * @param {CallableFunction} random Source of random numbers in [0, 1)
  * @return {any[]}
  */
-function repeatContent (list, formula) {
-  let total
-
-  if (formula.indexOf('..') > -1) {
-    const [min, max] = formula.split('..', 2)
-    const minValue = parseInt(min, 10) || list.length
-    const maxValue = parseInt(max, 10) || list.length
-    total = Math.floor(Math.random() * (maxValue - minValue + 1) + minValue)
-  } else {
-    total = parseInt(formula.toString(), 10)
-  }
+function repeatContent (list, formula, random = Math.random) {
+  const [min, max] = parseRange(formula, list.length)
+  const total = randomBetween(min, max, random)
 
   const stack = new Array()
   for (let i = 0; i < total; i++) {
@@ -117,6 +289,269 @@ function repeatContent (list, formula) {
   return [].concat(...stack)
 }
 
+/**
+ * Default pagination options of a virtual collection.
+ *
+ * @type {PaginateObject}
+ */
+const PAGINATE_DEFAULTS = {
+  size: 20,
+  max: 100,
+  envelope: false,
+  params: {
+    page: 'page',
+    per_page: 'per_page',
+    offset: 'offset',
+    limit: 'limit'
+  }
+}
+
+/**
+ * Get the window of a virtual collection requested by the query string. The
+ * offset and limit parameters take precedence over the page and per page
+ * parameters. Invalid or missing values fall back to the first page of the
+ * default size.
+ *
+ * @param {Record<string, string|string[]>} query The query string
+ * @param {PaginateObject} options The pagination options
+ * @returns {{ offset: number, limit: number, page: number, style: string }}
+ */
+function paginateWindow (query, { size, max, params }) {
+  const read = (name, fallback, min) => {
+    const value = parseInt([].concat(query[params[name]])[0], 10)
+    return isNaN(value) || value < min ? fallback : value
+  }
+
+  if (params.offset in query || params.limit in query) {
+    const offset = read('offset', 0, 0)
+    const limit = Math.min(read('limit', size, 1), max)
+    return { offset, limit, page: Math.floor(offset / limit) + 1, style: 'offset' }
+  }
+
+  const page = read('page', 1, 1)
+  const limit = Math.min(read('per_page', size, 1), max)
+
+  return { offset: (page - 1) * limit, limit, page, style: 'page' }
+}
+
+/**
+ * Build the Link header (RFC 8288) to navigate a virtual collection, with
+ * the first, previous, next and last relations of the current window.
+ *
+ * @param {string} path The path of the collection
+ * @param {Record<string, string|string[]>} query The query string
+ * @param {{ offset: number, limit: number, style: string }} window The current window
+ * @param {number} total The size of the collection
+ * @param {PaginateObject} options The pagination options
+ * @returns {string}
+ */
+function paginationLinks (path, query, { offset, limit, style }, total, { params }) {
+  const last = Math.max(Math.ceil(total / limit) - 1, 0) * limit
+  const link = (rel, start) => {
+    const search = new URLSearchParams()
+    for (const [name, value] of Object.entries(query)) {
+      [].concat(value).forEach(e => search.append(name, e))
+    }
+    Object.values(params).forEach(e => search.delete(e))
+    if (style === 'offset') {
+      search.set(params.offset, `${start}`)
+      search.set(params.limit, `${limit}`)
+    } else {
+      search.set(params.page, `${Math.floor(start / limit) + 1}`)
+      search.set(params.per_page, `${limit}`)
+    }
+    return `<${path}?${search}>; rel="${rel}"`
+  }
+
+  const links = [link('first', 0)]
+  if (offset > 0) {
+    links.push(link('prev', Math.max(Math.min(offset - limit, last), 0)))
+  }
+  if (offset + limit < total) {
+    links.push(link('next', offset + limit))
+  }
+  links.push(link('last', last))
+
+  return links.join(', ')
+}
+
+/**
+ * Default options to query a collection by the query string.
+ *
+ * @type {QueryOptionsObject}
+ */
+const QUERY_DEFAULTS = {
+  sort: 'sort',
+  search: 'q',
+  fields: 'fields',
+  filter: true
+}
+
+/**
+ * Compare two values to sort them in ascending order, numbers by value and
+ * everything else as text. Missing values are always last.
+ *
+ * @param {any} a The first value
+ * @param {any} b The second value
+ * @returns {number}
+ */
+function compareValues (a, b) {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1
+  } else if (typeof a === 'number' && typeof b === 'number') {
+    return a - b
+  }
+
+  return `${a}`.localeCompare(`${b}`)
+}
+
+/**
+ * Check if any text or number of a value contains the search term.
+ *
+ * @param {any} value The value to search
+ * @param {string} term The lowercase search term
+ * @returns {boolean}
+ */
+function containsText (value, term) {
+  if (value === null || value === undefined) {
+    return false
+  } else if (typeof value === 'object') {
+    return Object.values(value).some(e => containsText(e, term))
+  }
+
+  return `${value}`.toLowerCase().indexOf(term) > -1
+}
+
+/**
+ * Select a field path from a source, keeping its structure. The wildcard
+ * selects the field path from each item of a list.
+ *
+ * @param {any} source The source to select from
+ * @param {string[]} fieldpath The field path to select
+ * @returns {any} The selection or undefined if the field path is missing
+ */
+function selectField (source, fieldpath) {
+  if (fieldpath.length === 0) {
+    return source
+  } else if (source === null || typeof source !== 'object') {
+    return undefined
+  }
+
+  const [field, ...rest] = fieldpath
+  if (field === WILDCARD && Array.isArray(source)) {
+    return source.map(e => selectField(e, rest))
+  } else if (!(field in source)) {
+    return undefined
+  }
+
+  const value = selectField(source[field], rest)
+
+  return value === undefined ? undefined : { [field]: value }
+}
+
+/**
+ * Merge two selections of the same source.
+ *
+ * @param {any} a The first selection
+ * @param {any} b The second selection
+ * @returns {any}
+ */
+function mergeSelections (a, b) {
+  if (a === undefined) {
+    return b
+  } else if (b === undefined || a === null || typeof a !== 'object') {
+    return a
+  } else if (Array.isArray(a)) {
+    return a.map((e, i) => mergeSelections(e, b[i]))
+  }
+
+  const merged = { ...a }
+  for (const [k, v] of Object.entries(b)) {
+    merged[k] = mergeSelections(merged[k], v)
+  }
+
+  return merged
+}
+
+/**
+ * Filter, search, sort and select fields of a collection by the query
+ * string (e.g. ?name=foo&q=bar&sort=-price,name&fields=id,related.*.id).
+ * A query parameter filters the collection only if no option or pagination
+ * uses it and at least one item has the field, so unrelated parameters are
+ * ignored. Non-list content is returned as it is.
+ *
+ * @param {any} content The content to query
+ * @param {Record<string, string|string[]>} query The query string
+ * @param {QueryOptionsObject} options The query options
+ * @param {string[]} reserved Other query parameters to ignore
+ * @returns {any}
+ */
+function queryContent (content, query, options, reserved = []) {
+  if (!Array.isArray(content)) {
+    return content
+  }
+
+  const { sort, search, fields, filter } = options
+  const param = (name) => name && query[name] !== undefined
+    ? [].concat(query[name]).join(',')
+    : null
+  const values = content.map(e => new ContextManager(e))
+  const read = (cm, field) => cm.ctx !== null && typeof cm.ctx === 'object'
+    ? cm.get(field)
+    : null
+  let items = content.map((e, i) => i)
+
+  const ignored = [sort, search, fields, ...reserved]
+  for (const [field, value] of Object.entries(query)) {
+    if (!filter || ignored.indexOf(field) > -1) {
+      continue
+    } else if (Array.isArray(filter) && filter.indexOf(field) === -1) {
+      continue
+    } else if (!values.some(cm => read(cm, field) !== null)) {
+      continue
+    }
+    const expected = [].concat(value)
+    items = items.filter(i => {
+      const actual = [].concat(read(values[i], field))
+      return actual.some(e => e !== null && expected.indexOf(`${e}`) > -1)
+    })
+  }
+
+  const term = param(search)
+  if (term) {
+    items = items.filter(i => containsText(content[i], term.toLowerCase()))
+  }
+
+  const order = param(sort)
+  if (order) {
+    const keys = order.split(',').map(e => e.trim()).filter(e => e).map(e => e.startsWith('-')
+      ? [e.slice(1), -1]
+      : [e.replace(/^\+/, ''), 1])
+    items.sort((a, b) => {
+      for (const [field, direction] of keys) {
+        const [x, y] = [read(values[a], field), read(values[b], field)]
+        const diff = x === null || y === null
+          ? compareValues(x, y)
+          : compareValues(x, y) * direction
+        if (diff !== 0) {
+          return diff
+        }
+      }
+      return a - b // NOTE: keep the order of equal items
+    })
+  }
+
+  const selection = param(fields)
+  if (selection) {
+    const paths = selection.split(',').filter(e => e).map(e => e.split('.'))
+    return items.map(i => content[i] !== null && typeof content[i] === 'object'
+      ? paths.map(e => selectField(content[i], e)).reduce(mergeSelections, undefined) || {}
+      : content[i])
+  }
+
+  return items.map(i => content[i])
+}
+
 /**
  * Cast given field(s) into a datatype of user choice from a source.
  *
@@ -148,6 +583,83 @@ function castContent (type, value) {
   throw new Error(`Unsupported cast type "${type}"`)
 }
 
+/**
+ * Datatypes of JSON values.
+ *
+ * @type {string[]}
+ */
+const JSON_TYPES = SCHEMA.definitions.operators.properties.type.enum
+
+/**
+ * Get the JSON datatype of a value (e.g. object, array, string, null).
+ *
+ * @param {any} value The value to inspect
+ * @returns {string}
+ */
+function typeOf (value) {
+  if (value === null) {
+    return 'null'
+  } else if (Array.isArray(value)) {
+    return 'array'
+  }
+
+  return typeof value
+}
+
+/**
+ * Compare actual content against expected content used as contract: every
+ * expected field is required and must have the same datatype as its example
+ * value. The first item of an expected list is the example for all items of
+ * the actual list. Unknown fields are reported only for closed contracts.
+ *
+ * @param {any} expected The declared example content
+ * @param {any} actual The received content
+ * @param {string} path The path of the content (e.g. payload.title)
+ * @param {boolean} closed Flag to report unknown fields
+ * @param {ContractViolationObject[]} violations Accumulated violations
+ * @returns {ContractViolationObject[]}
+ */
+function compareContract (expected, actual, path, closed = true, violations = []) {
+  if (actual === undefined) {
+    violations.push({ path, message: 'missing required field' })
+    return violations
+  }
+
+  const expectedType = typeOf(expected)
+  const actualType = typeOf(actual)
+  if (expectedType !== actualType) {
+    violations.push({ path, message: `expected ${expectedType}, got ${actualType}` })
+  } else if (expectedType === 'array' && expected.length > 0) {
+    actual.forEach((each, i) => {
+      compareContract(expected[0], each, `${path}[${i}]`, closed, violations)
+    })
+  } else if (expectedType === 'object') {
+    for (const [field, value] of Object.entries(expected)) {
+      compareContract(value, actual[field], `${path}.${field}`, closed, violations)
+    }
+    if (closed) {
+      for (const field of Object.keys(actual)) {
+        if (!(field in expected)) {
+          violations.push({ path: `${path}.${field}`, message: 'unknown field' })
+        }
+      }
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Get a file-friendly name for a samplest from its method and route.
+ *
+ * @param {string} method The HTTP method
+ * @param {string} route The route of the samplest
+ * @returns {string}
+ */
+function nameSamplest (method, route) {
+  return `${method.toLowerCase()}${route.replace(/[^a-z0-9]+/ig, '-')}`.replace(/-+$/, '')
+}
+
 /**
  * The context manager is responsable to retrieve and change any existing or
  * non-existing information from a source of the user's choice. It is mostly
@@ -211,9 +723,9 @@ class ContextManager {
       return dataset
     }
 
-    const results = source[field] || null // NOTE: avoid undefined
-    if (results === null) {
-      return null
+    const results = source[field]
+    if (results === undefined || results === null) {
+      return null // NOTE: avoid undefined
     } else if (results.constructor === Object || Array.isArray(results)) {
       return this.read(results, fieldpath)
     } else {
@@ -291,6 +803,7 @@ class CommonHandler {
  *  query: object,
  *  payload: object,
  *  headers: object,
+ *  strict: boolean?
  * }}
  */
 const RequestObject = {
@@ -309,7 +822,21 @@ const RequestObject = {
   headers: {
     'X-Some-Header1': 'value or {placeholder}',
     'X-Some-Header2': 'value or {placeholder}'
-  }
+  },
+  strict: false
+}
+
+/**
+ * Contract Violation Object Interface.
+ *
+ * @type {{
+ *  path: string,
+ *  message: string
+ * }}
+ */
+const ContractViolationObject = {
+  path: 'payload.field2.subfield',
+  message: 'expected string, got number'
 }
 
 /**
@@ -324,13 +851,90 @@ class RequestHandler extends CommonHandler {
    *
    * @param {RequestObject} r The request object to handle
    */
-  constructor ({ method, route, headers, query, payload }) {
+  constructor ({ method, route, headers, query, payload, strict }) {
     super()
     this.method = this._validateHttpRouteMethod(method)
     this.route = this._validateHttpRoute(route)
     this.query = this._validateQueryString(query)
     this.headers = this._validateHeaders(headers)
     this.payload = this._validatePayload(payload)
+    this.strict = this._validateStrict(strict)
+  }
+
+  /**
+   * Check a single field of a request object on its own, so all invalid
+   * fields can be reported instead of the first one.
+   *
+   * @param {string} field The field of the request object (e.g. route)
+   * @param {any} value The value to validate
+   * @throws {Error} Unknown request field
+   * @throws {Error} Invalid request field
+   * @returns {any}
+   */
+  static validateField (field, value) {
+    const validations = {
+      method: '_validateHttpRouteMethod',
+      route: '_validateHttpRoute',
+      query: '_validateQueryString',
+      headers: '_validateHeaders',
+      payload: '_validatePayload',
+      strict: '_validateStrict'
+    }
+    if (!Object.prototype.hasOwnProperty.call(validations, field)) {
+      throw new Error(`Unknown request field: ${field}`)
+    }
+
+    return Object.create(RequestHandler.prototype)[validations[field]](value)
+  }
+
+  /**
+   * Check if the strict flag is a boolean.
+   *
+   * @param {boolean} strict The strict flag to validate
+   * @throws {Error} Request strict must be boolean
+   * @returns {boolean?}
+   */
+  _validateStrict (strict) {
+    if (strict === undefined) {
+      return null // NOTE: the server decides
+    } else if (strict !== true && strict !== false) {
+      throw new Error(`Request strict must be boolean, got ${typeof strict}`)
+    }
+
+    return strict
+  }
+
+  /**
+   * Verify an incoming request against the declared query, headers and
+   * payload used as contract. Headers are an open contract, since clients
+   * send more headers than any samplest declares.
+   *
+   * @param {IncomingRequestObject} req The incoming HTTP request
+   * @returns {ContractViolationObject[]}
+   */
+  verify ({ query = {}, headers = {}, body }) {
+    const violations = []
+
+    const actualQuery = Object.assign({}, query)
+    for (const [key, value] of Object.entries(this.query)) {
+      if (Array.isArray(value) && typeof actualQuery[key] === 'string') {
+        actualQuery[key] = [actualQuery[key]] // NOTE: ?a=1 is a list of one
+      }
+    }
+    compareContract(this.query, actualQuery, 'query', true, violations)
+
+    const actualHeaders = this._validateHeaders(headers)
+    compareContract(this.headers, actualHeaders, 'headers', false, violations)
+
+    if (this.payload !== null) {
+      compareContract(this.payload, body, 'payload', true, violations)
+    } else if (typeOf(body) === 'object') {
+      compareContract({}, body, 'payload', true, violations)
+    } else if (body) {
+      violations.push({ path: 'payload', message: 'unexpected payload' })
+    }
+
+    return violations
   }
 
   /**
@@ -423,7 +1027,8 @@ class RequestHandler extends CommonHandler {
    * @type {string[]}
    */
   static get HTTP_VERBS () {
-    return ['head', 'get', 'post', 'put', 'patch', 'delete']
+    const { method } = SCHEMA.definitions.request.properties
+    return method.enum.filter(e => e === e.toLowerCase())
   }
 
   /**
@@ -436,12 +1041,55 @@ class RequestHandler extends CommonHandler {
   }
 }
 
+/**
+ * Paginate Object Interface.
+ *
+ * @type {{
+ *  total: number,
+ *  size: number?,
+ *  max: number?,
+ *  envelope: boolean|string?,
+ *  params: Record<string, string>?
+ * }}
+ */
+const PaginateObject = {
+  total: 250,
+  size: 20,
+  max: 100,
+  envelope: false,
+  params: {
+    page: 'page',
+    per_page: 'per_page',
+    offset: 'offset',
+    limit: 'limit'
+  }
+}
+
+/**
+ * Query Options Object Interface.
+ *
+ * @type {{
+ *  sort: string|boolean?,
+ *  search: string|boolean?,
+ *  fields: string|boolean?,
+ *  filter: boolean|string[]?
+ * }}
+ */
+const QueryOptionsObject = {
+  sort: 'sort',
+  search: 'q',
+  fields: 'fields',
+  filter: true
+}
+
 /**
  * Response Metadata Object Interface.
  *
  * @type {{
  *  cast: Record<string, string>,
- *  repeat: string
+ *  repeat: string,
+ *  paginate: PaginateObject?,
+ *  query: QueryOptionsObject|boolean?
  * }}
  */
 const ResponseMetadataObject = {
@@ -449,7 +1097,11 @@ const ResponseMetadataObject = {
     id: 'number',
     'books.*': 'number'
   },
-  repeat: '..20'
+  repeat: '..20',
+  paginate: {
+    total: 250
+  },
+  query: true
 }
 
 /**
@@ -459,7 +1111,10 @@ const ResponseMetadataObject = {
  *  code: string,
  *  headers: object,
  *  data: object|object[]|string|string[],
- *  $data: ResponseMetadataObject?
+ *  $data: ResponseMetadataObject?,
+ *  delay: number|string?,
+ *  format: string|string[]?,
+ *  file: string?
  * }}
  */
 const ResponseObject = {
@@ -479,8 +1134,26 @@ const ResponseObject = {
     cast: {
       'key from data': 'number | boolean | string (default)'
     },
-    repeat: 'any positive number or [min..max]'
-  }
+    repeat: 'any positive number or [min..max]',
+    paginate: {
+      total: 'size of the virtual collection',
+      size: 'items per page, unless requested (default: 20)',
+      max: 'maximum items per page (default: 100)',
+      envelope: 'true or the name of the items field to wrap the page with totals',
+      params: {
+        page: 'query parameter of the page number (default: page)'
+      }
+    },
+    query: {
+      sort: 'query parameter to sort by fields, descending with "-" (default: sort)',
+      search: 'query parameter to search text (default: q)',
+      fields: 'query parameter to select fields (default: fields)',
+      filter: 'true, false or the fields to filter by equality'
+    }
+  },
+  delay: 'milliseconds as any positive number or [min..max]',
+  format: 'json | text | html | xml | csv | file or a list to negotiate (default: from Content-Type)',
+  file: 'path of a file to send, relative to the samplest file'
 }
 
 /**
@@ -494,32 +1167,187 @@ class ResponseHandler extends CommonHandler {
    *
    * @param {ResponseObject} r The response object to handle
    */
-  constructor ({ code, headers, data, $data }) {
+  constructor ({ code, headers, data, $data, delay, format, file }) {
     super()
     this.code = this._validateStatusCode(code)
     this.headers = this._validateHeaders(headers)
     this.data = data || null // NOTE: avoid undefined
     this.$data = $data && this._validateMetadata($data)
+    this.delay = ResponseHandler.validateDelay(delay)
+    this.file = this._validateFile(file)
+    this.format = this._validateFormat(format)
+    this._validatePlaceholders({ headers: this.headers, data: this.data, file: this.file })
   }
 
   /**
-   * Supported cast options.
+   * Check a single field of a response object on its own, so all invalid
+   * fields can be reported instead of the first one. The content field
+   * stands for the placeholders of headers, data and file, while the fields
+   * of the metadata are given by name (e.g. cast). Other fields of the
+   * response are only used when valid (e.g. the headers for the format).
    *
-   * @type {string[]}
+   * @param {string} field The field of the response object (e.g. code)
+   * @param {any} value The value to validate
+   * @param {ResponseObject} response The response object of the field
+   * @throws {Error} Unknown response field
+   * @throws {Error} Invalid response field
+   * @returns {any}
    */
-  static get CAST_OPTIONS () {
-    return ['number', 'boolean', 'string']
+  static validateField (field, value, response = {}) {
+    const { headers, data, $data, file } = response
+    const rh = Object.create(ResponseHandler.prototype)
+    rh.data = data || null // NOTE: avoid undefined
+    for (const [name, fallback, validation] of [
+      ['headers', {}, () => rh._validateHeaders(headers)],
+      ['file', null, () => rh._validateFile(file)]
+    ]) {
+      try {
+        rh[name] = validation()
+      } catch (e) {
+        rh[name] = fallback
+      }
+    }
+
+    const validations = {
+      code: () => rh._validateStatusCode(value),
+      headers: () => rh._validateHeaders(value),
+      delay: () => ResponseHandler.validateDelay(value),
+      file: () => rh._validateFile(value),
+      format: () => rh._validateFormat(value),
+      content: () => rh._validatePlaceholders(value),
+      cast: () => rh._validateMetadata({ cast: value }).cast,
+      repeat: () => rh._validateMetadata({ repeat: value }).repeat,
+      paginate: () => value && typeof value === 'object'
+        ? rh._validateMetadataPaginateOptions(value, ($data || {}).repeat)
+        : rh._validateMetadata({ paginate: value }).paginate,
+      query: () => rh._validateMetadata({ query: value }).query
+    }
+    if (!Object.prototype.hasOwnProperty.call(validations, field)) {
+      throw new Error(`Unknown response field: ${field}`)
+    }
+
+    return validations[field]()
   }
 
   /**
-   * Check if the metadata fields are supported.
+   * Check if the placeholders of the content use supported filters, and if
+   * the mockup placeholders use generators of faker.js with JSON arguments.
+   *
+   * @param {any} content The content with placeholders
+   * @throws {Error} Unsupported placeholder filter
+   * @throws {Error} Unsupported mockup placeholder or invalid arguments
+   * @returns {any}
+   */
+  _validatePlaceholders (content) {
+    generateContent(JSON.stringify(content), (text) => {
+      for (const placeholder of capture(validateMockups(text))) {
+        parsePlaceholder(placeholder)
+      }
+      return text
+    })
+
+    return content
+  }
+
+  /**
+   * Check if the body format is supported or a list of supported formats to
+   * negotiate with the client. The default format is derived from the file
+   * (if any) or from the declared Content-Type header.
+   *
+   * @param {string|string[]} format The format to validate
+   * @throws {Error} Unsupported response format
+   * @returns {string|string[]}
+   */
+  _validateFormat (format) {
+    if (format === undefined || format === null) {
+      return this.file !== null
+        ? 'file'
+        : formatOf(this.headers['content-type']) || 'json'
+    }
+
+    const formats = [].concat(format)
+    if (formats.length === 0) {
+      throw new Error('Response format must not be an empty list')
+    }
+    for (const each of formats) {
+      if (ResponseHandler.FORMATS.indexOf(each) === -1) {
+        throw new Error(`Unsupported response format: ${each}`)
+      } else if ((each === 'file') !== (this.file !== null)) {
+        throw new Error('Response format "file" requires a file and only a file')
+      }
+    }
+
+    return format
+  }
+
+  /**
+   * Check if the file to send is a relative path.
+   *
+   * @param {string} file The file to validate
+   * @throws {Error} Response file must be a relative path
+   * @returns {string?}
+   */
+  _validateFile (file) {
+    if (file === undefined || file === null) {
+      return null
+    } else if (typeof file !== 'string' || file === '' || file.startsWith('/')) {
+      throw new Error('Response file must be a path relative to the samplest file')
+    }
+
+    return file
+  }
+
+  /**
+   * Check if the response delay is a number of milliseconds or a range of
+   * milliseconds, with the same syntax as the repeat formula.
+   *
+   * @param {number|string} delay The delay to validate
+   * @throws {Error} Delay must be a number or a string
+   * @throws {Error} Invalid delay
+   * @returns {number|string|null}
+   */
+  static validateDelay (delay) {
+    if (delay === undefined || delay === null) {
+      return null
+    } else if (typeof delay !== 'number' && `${delay}` !== delay) {
+      throw new Error(`Delay must be a number or a string, got ${typeof delay}`)
+    }
+
+    const [min, max] = parseRange(delay, 0)
+    if (isNaN(min) || isNaN(max) || min < 0 || min > max) {
+      throw new Error(`Invalid delay: ${delay}`)
+    }
+
+    return delay
+  }
+
+  /**
+   * Supported cast options.
+   *
+   * @type {string[]}
+   */
+  static get CAST_OPTIONS () {
+    return SCHEMA.definitions.metadata.properties.cast.additionalProperties.enum
+  }
+
+  /**
+   * Supported body formats.
+   *
+   * @type {string[]}
+   */
+  static get FORMATS () {
+    return SCHEMA.definitions.format.enum
+  }
+
+  /**
+   * Check if the metadata fields are supported.
    *
    * @param {ResponseMetadataObject} $data The metadata to validate
    * @returns {ResponseMetadataObject?}
    */
   _validateMetadata ($data) {
     if ($data && typeof $data === 'object' && $data.constructor === Object) {
-      const { cast, repeat } = $data
+      const { cast, repeat, paginate, query } = $data
       if (cast && typeof cast === 'object') {
         this._validateMetadataCastTypes(cast)
       } else if (typeof cast !== 'undefined') {
@@ -530,11 +1358,100 @@ class ResponseHandler extends CommonHandler {
       } else if (typeof repeat !== 'undefined') {
         throw new Error('Repeat must be a string')
       }
+      if (paginate && typeof paginate === 'object') {
+        $data = { ...$data, paginate: this._validateMetadataPaginateOptions(paginate, repeat) }
+      } else if (typeof paginate !== 'undefined') {
+        throw new Error('Paginate must be an object')
+      }
+      if (query === true || (query && typeof query === 'object')) {
+        $data = { ...$data, query: this._validateMetadataQueryOptions(query) }
+      } else if (typeof query !== 'undefined' && query !== false) {
+        throw new Error('Query must be a boolean or an object')
+      }
     }
 
     return $data
   }
 
+  /**
+   * Helper method to validate metadata query options and merge them with
+   * the defaults.
+   *
+   * @param {QueryOptionsObject|boolean} query The query options
+   * @throws {Error} Cannot use meta query on a non-array data
+   * @throws {Error} Invalid query option
+   * @returns {QueryOptionsObject}
+   */
+  _validateMetadataQueryOptions (query) {
+    if (!Array.isArray(this.data)) {
+      throw new Error('Cannot use meta query on a non-array data')
+    }
+
+    const options = { ...QUERY_DEFAULTS, ...(query === true ? {} : query) }
+    for (const [name, value] of Object.entries(options)) {
+      if (!(name in QUERY_DEFAULTS)) {
+        throw new Error(`Unsupported query option: ${name}`)
+      } else if (name === 'filter') {
+        if (typeof value !== 'boolean' && !(Array.isArray(value) &&
+            value.every(e => typeof e === 'string'))) {
+          throw new Error('Query filter must be a boolean or a list of fields')
+        }
+      } else if (value === true) {
+        options[name] = QUERY_DEFAULTS[name]
+      } else if (value !== false && (typeof value !== 'string' || value === '')) {
+        throw new Error(`Invalid query parameter name for ${name}: ${value}`)
+      }
+    }
+
+    return options
+  }
+
+  /**
+   * Helper method to validate metadata paginate options and merge them with
+   * the defaults.
+   *
+   * @param {PaginateObject} paginate The paginate options
+   * @param {string?} repeat The repeat formula (if any)
+   * @throws {Error} Cannot use meta paginate on a non-array data
+   * @throws {Error} Invalid paginate option
+   * @returns {PaginateObject}
+   */
+  _validateMetadataPaginateOptions (paginate, repeat) {
+    if (!Array.isArray(this.data) || this.data.length === 0) {
+      throw new Error('Cannot use meta paginate on a non-array or empty data')
+    } else if (typeof repeat !== 'undefined') {
+      throw new Error('Cannot use meta paginate and repeat together')
+    }
+
+    const options = {
+      ...PAGINATE_DEFAULTS,
+      ...paginate,
+      params: { ...PAGINATE_DEFAULTS.params, ...paginate.params }
+    }
+    for (const name of ['total', 'size', 'max']) {
+      const value = options[name]
+      if (!Number.isInteger(value) || value < (name === 'total' ? 0 : 1)) {
+        throw new Error(`Invalid paginate ${name}: ${value}`)
+      }
+    }
+    if (options.size > options.max) {
+      throw new Error(`Invalid paginate size: ${options.size} exceeds max(${options.max})`)
+    }
+    if (typeof options.envelope !== 'boolean' &&
+        (typeof options.envelope !== 'string' || options.envelope === '')) {
+      throw new Error('Paginate envelope must be a boolean or a field name')
+    }
+    for (const [name, value] of Object.entries(options.params)) {
+      if (!(name in PAGINATE_DEFAULTS.params)) {
+        throw new Error(`Unsupported paginate parameter: ${name}`)
+      } else if (typeof value !== 'string' || value === '') {
+        throw new Error(`Invalid paginate parameter name for ${name}: ${value}`)
+      }
+    }
+
+    return options
+  }
+
   /**
    * Helper method to validate metadata repeat options.
    *
@@ -600,8 +1517,8 @@ class ResponseHandler extends CommonHandler {
    * @returns void
    */
   _validateStatusCode (code) {
-    const statusCode = parseInt(code.toString())
-    if (isNaN(statusCode)) {
+    const statusCode = parseInt(code)
+    if ((typeof code !== 'number' && typeof code !== 'string') || !/^[0-9]+$/.test(`${code}`)) {
       throw new Error(`Response HTTP status code invalid: ${code}`)
     } else if (statusCode < 100 || statusCode > 599) {
       throw new Error(`Unsupported response HTTP status: ${statusCode}`)
@@ -620,11 +1537,169 @@ class ResponseHandler extends CommonHandler {
   }
 }
 
+/**
+ * Response Variant Object Interface.
+ *
+ * @type {ResponseObject & { weight: number? }}
+ */
+const ResponseVariantObject = {
+  code: 'valid HTTP status code',
+  data: 'string | string[] | object | object[]',
+  weight: 'positive number for weighted selection (default: 1)'
+}
+
+/**
+ * Response selector handles the variants of a response (if any) and picks
+ * one for each call with a selection strategy:
+ *
+ *  weighted     random variant according to weights (default)
+ *  sequential   variants in order, then the last one for all other calls
+ *  round-robin  variants in order, then again from the first one
+ *  sticky       random variant according to weights, kept for each client
+ */
+class ResponseSelector {
+  /**
+   * Initialize response selector.
+   *
+   * @param {ResponseVariantObject[]} variants The response variants
+   * @param {string?} strategy The selection strategy
+   */
+  constructor (variants, strategy) {
+    this.variants = this._validateVariants(variants)
+    this.weights = variants.map(({ weight }) => weight === undefined ? 1 : weight)
+    this.strategy = this._validateStrategy(strategy || 'weighted')
+    this.calls = 0
+    this.clients = new Map()
+  }
+
+  /**
+   * Supported selection strategies.
+   *
+   * @type {string[]}
+   */
+  static get STRATEGIES () {
+    return SCHEMA.properties.select.enum
+  }
+
+  /**
+   * Check if the variants are valid response objects with valid weights.
+   *
+   * @param {ResponseVariantObject[]} variants The variants to validate
+   * @throws {Error} Responses must be a non-empty list
+   * @returns {ResponseHandler[]}
+   */
+  _validateVariants (variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new Error('Responses must be a non-empty list of response objects')
+    }
+
+    return variants.map((variant, i) => {
+      const { weight, ...response } = variant || {}
+      if (weight !== undefined && (typeof weight !== 'number' || weight < 0)) {
+        throw new Error(`Response variant ${i + 1} weight must be a positive number`)
+      }
+      try {
+        return new ResponseHandler(response)
+      } catch (e) {
+        throw new Error(`Response variant ${i + 1} incompatible with ` +
+          `Response Object Interface: ${e.message}`)
+      }
+    })
+  }
+
+  /**
+   * Check if the selection strategy is supported.
+   *
+   * @param {string} strategy The strategy to validate
+   * @throws {Error} Unsupported selection strategy
+   * @returns {string}
+   */
+  _validateStrategy (strategy) {
+    if (ResponseSelector.STRATEGIES.indexOf(strategy) === -1) {
+      throw new Error(`Unsupported response selection: ${strategy}`)
+    } else if (strategy !== 'sequential' && strategy !== 'round-robin' &&
+        this.weights.every(e => e === 0)) {
+      throw new Error('Response variants must have at least one positive weight')
+    }
+
+    return strategy
+  }
+
+  /**
+   * Pick a variant index at random, according to weights.
+   *
+   * @param {CallableFunction} random Source of random numbers in [0, 1)
+   * @returns {number}
+   */
+  _pickWeighted (random) {
+    const total = this.weights.reduce((a, b) => a + b, 0)
+    let chance = random() * total
+    for (let i = 0; i < this.weights.length; i++) {
+      if (chance < this.weights[i]) {
+        return i
+      }
+      chance -= this.weights[i]
+    }
+
+    return this.weights.length - 1
+  }
+
+  /**
+   * Pick the variant for the current call.
+   *
+   * @param {string?} client The identity of the client
+   * @param {CallableFunction} random Source of random numbers in [0, 1)
+   * @returns {number} The index of the variant
+   */
+  pick (client = null, random = Math.random) {
+    const call = this.calls++
+    if (this.strategy === 'sequential') {
+      return Math.min(call, this.variants.length - 1)
+    } else if (this.strategy === 'round-robin') {
+      return call % this.variants.length
+    } else if (this.strategy === 'sticky') {
+      if (!this.clients.has(client)) {
+        this.clients.set(client, this._pickWeighted(random))
+      }
+      return this.clients.get(client)
+    }
+
+    return this._pickWeighted(random)
+  }
+}
+
+/**
+ * Condition Object Interface.
+ *
+ * @type {Record<string, any>}
+ */
+const ConditionObject = {
+  'route.book': {
+    gt: 100
+  },
+  'headers.x-secret': 'value to equal',
+  any: [
+    {
+      'query.lang': {
+        in: ['en', 'ro']
+      }
+    },
+    {
+      not: {
+        'payload.title': {
+          exists: true
+        }
+      }
+    }
+  ]
+}
+
 /**
  * Except Case Object Interface.
  *
  * @type {{
- *  validate: string[],
+ *  validate: string[]?,
+ *  expect: ConditionObject|ConditionObject[]?,
  *  response: ResponseObject
  * }}
  */
@@ -633,13 +1708,19 @@ const ExceptCaseObject = {
     'js code as one line of string',
     'js code as one line of string'
   ],
+  expect: {
+    'route.field': {
+      'equals | gt | gte | lt | lte | in | regex | exists | type': 'argument'
+    }
+  },
   response: {
     code: 'number',
     headers: {
       'X-Header': 'string'
     },
     data: 'string | string[] | object | object[]',
-    $data: null
+    $data: null,
+    delay: 'number | string'
   }
 }
 
@@ -666,54 +1747,526 @@ const ExceptObject = {
 }
 
 /**
- * Except object handler (optional middleware) performs custom tests as one
- * lines of JavaScript code, isolated from the rest of the application with
- * only the current context available to use as parameters. Upon failure it
- * overrides the response with the current exception's case.
+ * Operators of declarative conditions, each testing the value of a field
+ * from the request context (null if missing) against an argument.
+ *
+ * @type {Record<string, CallableFunction>}
+ */
+const CONDITION_OPERATORS = {
+  equals: (value, arg) => JSON.stringify(value) === JSON.stringify(arg),
+  gt: (value, arg) => value !== null && Number(value) > Number(arg),
+  gte: (value, arg) => value !== null && Number(value) >= Number(arg),
+  lt: (value, arg) => value !== null && Number(value) < Number(arg),
+  lte: (value, arg) => value !== null && Number(value) <= Number(arg),
+  in: (value, arg) => arg.some(e => JSON.stringify(e) === JSON.stringify(value)),
+  regex: (value, arg) => value !== null && new RegExp(...[].concat(arg)).test(`${value}`),
+  exists: (value, arg) => (value !== null) === arg,
+  type: (value, arg) => typeOf(value) === arg
+}
+
+/**
+ * Combinators of declarative conditions.
+ *
+ * @type {string[]}
+ */
+const CONDITION_COMBINATORS = ['all', 'any', 'not']
+
+/**
+ * Check if a declarative condition is properly formatted. A condition is
+ * either a list of conditions (all must match), an object with combinators
+ * or field paths from the request context as keys. Each field path has an
+ * object of operators or a value to equal.
+ *
+ * @param {ConditionObject|ConditionObject[]} condition The condition to validate
+ * @param {string} path The path of the condition for error messages
+ * @throws {Error} Unsupported operator
+ * @returns void
+ */
+function validateCondition (condition, path) {
+  if (Array.isArray(condition)) {
+    condition.forEach((each, i) => validateCondition(each, `${path}[${i}]`))
+    return
+  } else if (!condition || typeof condition !== 'object') {
+    throw new Error(`Condition ${path} must be an object or a list`)
+  }
+
+  for (const [key, arg] of Object.entries(condition)) {
+    if (CONDITION_COMBINATORS.indexOf(key) !== -1) {
+      if (key !== 'not' && !Array.isArray(arg)) {
+        throw new Error(`Condition ${path}.${key} must be a list`)
+      }
+      validateCondition(arg, `${path}.${key}`)
+    } else if (arg && typeof arg === 'object' && arg.constructor === Object) {
+      for (const [operator, value] of Object.entries(arg)) {
+        const where = `${path}["${key}"].${operator}`
+        if (!(operator in CONDITION_OPERATORS)) {
+          throw new Error(`Unsupported operator ${where}`)
+        } else if (operator === 'in' && !Array.isArray(value)) {
+          throw new Error(`Operator ${where} must be a list`)
+        } else if (operator === 'exists' && typeof value !== 'boolean') {
+          throw new Error(`Operator ${where} must be boolean`)
+        } else if (operator === 'type' && JSON_TYPES.indexOf(value) === -1) {
+          throw new Error(`Operator ${where} must be one of ${JSON_TYPES.join(', ')}`)
+        } else if (operator === 'regex') {
+          try {
+            RegExp(...[].concat(value))
+          } catch (e) {
+            throw new Error(`Operator ${where} must be a valid regex: ${e.message}`)
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Match a declarative condition against the request context.
+ *
+ * @param {ConditionObject|ConditionObject[]} condition The condition to match
+ * @param {RequestContextObject} ctx The request context
+ * @returns {boolean}
+ */
+function matchCondition (condition, ctx) {
+  if (Array.isArray(condition)) {
+    return condition.every(each => matchCondition(each, ctx))
+  }
+
+  const cm = new ContextManager(ctx)
+  return Object.entries(condition).every(([key, arg]) => {
+    if (key === 'all') {
+      return arg.every(each => matchCondition(each, ctx))
+    } else if (key === 'any') {
+      return arg.some(each => matchCondition(each, ctx))
+    } else if (key === 'not') {
+      return !matchCondition(arg, ctx)
+    }
+
+    const field = key.startsWith('headers.') ? key.toLowerCase() : key
+    const value = cm.get(field)
+    if (arg && typeof arg === 'object' && arg.constructor === Object) {
+      return Object.entries(arg).every(([operator, each]) => {
+        return CONDITION_OPERATORS[operator](value, each)
+      })
+    }
+
+    return CONDITION_OPERATORS.equals(value, arg)
+  })
+}
+
+/**
+ * Sandbox setup to run inside a new context. It defines each field of the
+ * request context as a frozen global, from a JSON copy parsed inside the
+ * context, so no object from the application is reachable by rules. Since
+ * Buffer is not available, base64 helpers are provided as atob and btoa.
+ *
+ * @type {vm.Script}
+ */
+const SANDBOX_SETUP = new vm.Script(`(function (global) {
+  'use strict'
+  const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+  const freeze = (o) => {
+    Object.keys(o).forEach(k => o[k] && typeof o[k] === 'object' && freeze(o[k]))
+    return Object.freeze(o)
+  }
+  const btoa = (text) => {
+    let out = ''
+    for (let i = 0; i < text.length; i += 3) {
+      const n = (text.charCodeAt(i) << 16) | (text.charCodeAt(i + 1) << 8) | text.charCodeAt(i + 2)
+      out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63]
+      out += i + 1 < text.length ? B64[(n >> 6) & 63] : '='
+      out += i + 2 < text.length ? B64[n & 63] : '='
+    }
+    return out
+  }
+  const atob = (text) => {
+    let out = ''
+    const clean = String(text).replace(/[^A-Za-z0-9+/]/g, '')
+    for (let i = 0; i < clean.length; i += 4) {
+      const n = [0, 1, 2, 3].reduce((a, j) => (a << 6) | Math.max(B64.indexOf(clean[i + j]), 0), 0)
+      out += String.fromCharCode((n >> 16) & 255)
+      if (i + 2 < clean.length) out += String.fromCharCode((n >> 8) & 255)
+      if (i + 3 < clean.length) out += String.fromCharCode(n & 255)
+    }
+    return out
+  }
+  Object.defineProperty(global, 'atob', { value: atob })
+  Object.defineProperty(global, 'btoa', { value: btoa })
+  return function (json) {
+    const ctx = freeze(JSON.parse(json))
+    Object.keys(ctx).forEach(k => Object.defineProperty(global, k, { value: ctx[k] }))
+  }
+})(this)`, { filename: 'samplest:sandbox' })
+
+/**
+ * Except object handler (optional middleware) performs custom tests as
+ * declarative conditions or as one lines of JavaScript code, compiled once
+ * and run in an isolated context with only a frozen copy of the current
+ * context available to use as parameters. Upon failure it overrides the
+ * response with the current exception's case.
  */
 class ExceptHandler {
   /**
    * Initialize rules handler.
    *
    * @param {ExceptObject} except The exceptions to handle
+   * @param {number} timeout Milliseconds each rule is allowed to run
    */
-  constructor (except) {
+  constructor (except, timeout = ExceptHandler.DEFAULT_TIMEOUT) {
     this.cases = this._validate(except)
+    this.rules = this._compile(this.cases)
+    this.timeout = timeout
+  }
+
+  /**
+   * Default milliseconds each rule is allowed to run.
+   *
+   * @type {number}
+   */
+  static get DEFAULT_TIMEOUT () {
+    return 100
   }
 
   /**
    * Check if the except cases object is properly formatted.
    *
    * @param {Record<string, ExceptCaseObject>} cases Except cases object to validate
+   * @throws {Error} Except cases must be an object
    * @retusns {Record<string, ExceptCaseObject>}
    */
   _validate (cases) {
-    if (cases && typeof cases === 'object' && cases.constructor === Object) {
-      for (const [assertion, { validate, response }] of Object.entries(cases)) {
-        if (!Array.isArray(validate) || validate.length === 0) {
+    if (!cases || typeof cases !== 'object' || cases.constructor !== Object) {
+      throw new Error(`Except cases must be an object, got ${Array.isArray(cases) ? 'array' : typeof cases}`)
+    }
+    for (const [assertion, { validate, expect, response }] of Object.entries(cases)) {
+      if (expect !== undefined) {
+        try {
+          validateCondition(expect, 'expect')
+        } catch (e) {
+          throw new Error(`Except case "${assertion}" field "expect" ` +
+              `is invalid: ${e.message}`)
+        }
+      }
+      if (expect !== undefined && validate === undefined) {
+        // NOTE: declarative conditions only
+      } else if (!Array.isArray(validate) || validate.length === 0) {
+        throw new Error(`Except case "${assertion}" field "validate" ` +
+              `must be string[], got ${typeof validate}`)
+      }
+      for (let i = 0; i < (validate || []).length; i++) {
+        const test = validate[i]
+        if (test.toString() !== test) {
           throw new Error(`Except case "${assertion}" field "validate" ` +
-                `must be string[], got ${typeof validate}`)
+              `must be string on position ${i}, got ${typeof test} instead`)
         }
-        for (let i = 0; i < validate.length; i++) {
-          const test = validate[i]
-          if (test.toString() !== test) {
-            throw new Error(`Except case "${assertion}" field "validate" ` +
-                `must be string on position ${i}, got ${typeof test} instead`)
-          }
+      }
+      try {
+        const rh = new ResponseHandler(response)
+        if (!rh) {
+          throw new Error('Failed to create response handler from except')
         }
+      } catch (e) {
+        throw new Error(`Except case "${assertion}" field "response" ` +
+          `incompatible with Response Object Interface: ${e.message}`)
+      }
+    }
+
+    return cases
+  }
+
+  /**
+   * Compile the rules of all except cases as scripts.
+   *
+   * @param {Record<string, ExceptCaseObject>} cases Except cases object to compile
+   * @throws {Error} Except case field "validate" has invalid JS
+   * @returns {Record<string, vm.Script[]>}
+   */
+  _compile (cases) {
+    const rules = {}
+    for (const [assertion, { validate = [] }] of Object.entries(cases || {})) {
+      rules[assertion] = validate.map((test, i) => {
         try {
-          const rh = new ResponseHandler(response)
+          return ExceptHandler.compileRule(test, `except:${assertion}:${i}`)
+        } catch (e) {
+          throw new Error(`Except case "${assertion}" field "validate" ` +
+            `has invalid JS on position ${i}: ${e.message}`)
+        }
+      })
+    }
+
+    return rules
+  }
+
+  /**
+   * Compile a rule as script that evaluates to the result of the rule.
+   *
+   * @param {string} test The rule as JS expression
+   * @param {string} filename The name of the script in stack traces
+   * @throws {SyntaxError} Invalid JS
+   * @returns {vm.Script}
+   */
+  static compileRule (test, filename) {
+    return new vm.Script(`'use strict'; (${test})`, { filename })
+  }
+
+  /**
+   * Flag if any except case has rules as JS code, which requires explicit
+   * permission to run.
+   *
+   * @type {boolean}
+   */
+  get usesJs () {
+    return Object.values(this.rules).some(rules => rules.length > 0)
+  }
+
+  /**
+   * Run the declarative conditions and the rules of an except case against
+   * the request context. Rules that evaluate to "undefined" are skipped.
+   * Promise callbacks run right after each rule, within its timeout.
+   *
+   * @param {string} assertion The except case to check
+   * @param {RequestContextObject} ctx The request context
+   * @throws {Error} Rule throws or runs out of time
+   * @returns {boolean} Flag if all conditions and rules passed
+   */
+  check (assertion, ctx) {
+    const { expect } = this.cases[assertion]
+    if (expect !== undefined && !matchCondition(expect, ctx)) {
+      return false
+    } else if (this.rules[assertion].length === 0) {
+      return true
+    }
+
+    const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' })
+    SANDBOX_SETUP.runInContext(context)(JSON.stringify(ctx))
+
+    for (const rule of this.rules[assertion]) {
+      const rs = rule.runInContext(context, { timeout: this.timeout })
+      if (rs === undefined) {
+        continue // NOTE: Allow the user to skip optional validations...
+      } else if (rs !== true) {
+        return false
+      }
+    }
+
+    return true
+  }
+}
+
+/**
+ * State Object Interface.
+ *
+ * @type {{
+ *  collection: string?,
+ *  key: string?
+ * }}
+ */
+const StateObject = {
+  collection: 'optional name (default: route without last {placeholder})',
+  key: 'identity field of each item (default: id)'
+}
+
+/**
+ * State object handler (optional) binds a samplest to a collection of items
+ * kept in memory. Samplests sharing the same resource path share the same
+ * collection: the route of the collection itself (e.g. /books) lists and
+ * inserts items, while the route ending with a placeholder (e.g. /books/:id)
+ * reads, updates and removes an item.
+ */
+class StateHandler {
+  /**
+   * Initialize state handler.
+   *
+   * @param {StateObject|boolean} state The state options to handle
+   * @param {string} route The route of the samplest
+   */
+  constructor (state, route) {
+    const { collection, key } = this._validate(state)
+    const [resource, param] = StateHandler.splitRoute(route)
+    this.collection = collection || resource
+    this.param = param
+    this.key = key || 'id'
+  }
+
+  /**
+   * Check if the state options are properly formatted.
+   *
+   * @param {StateObject|boolean} state The state options to validate
+   * @throws {Error} State must be true or a key-value object
+   * @returns {StateObject}
+   */
+  _validate (state) {
+    if (state === true) {
+      return {}
+    }
+
+    if (state && typeof state === 'object' && state.constructor === Object) {
+      for (const field of ['collection', 'key']) {
+        const value = state[field]
+        if (value !== undefined && (!value || value.toString() !== value)) {
+          throw new Error(`State field "${field}" must be a non-empty string`)
+        }
+      }
+      return state
+    }
+
+    throw new Error('State must be true or a key-value object')
+  }
+
+  /**
+   * Split a route into the resource path and the trailing placeholder, if
+   * the route ends with one (e.g. /books/:book => ['/books', 'book']).
+   *
+   * @param {string} route The route to split
+   * @returns {[string, string?]}
+   */
+  static splitRoute (route) {
+    const segments = route.replace(/\/+$/, '').split('/')
+    const last = segments[segments.length - 1]
+    if (last.startsWith(':')) {
+      segments.pop()
+      return [segments.join('/') || '/', last.substr(1).replace(/\?$/, '')]
+    }
+
+    return [segments.join('/') || '/', null]
+  }
+}
+
+/**
+ * Fault Case Object Interface.
+ *
+ * @type {{
+ *  probability: number,
+ *  code: number?,
+ *  headers: object?,
+ *  data: any?
+ * }}
+ */
+const FaultCaseObject = {
+  probability: 'number between 0 and 1',
+  code: 'HTTP status code (error fault only, default: 500)',
+  headers: {
+    'X-Header': 'string (error fault only)'
+  },
+  data: 'string | string[] | object | object[] (error fault only)'
+}
+
+/**
+ * Fault Object Interface.
+ *
+ * @type {Record<string, FaultCaseObject>}
+ */
+const FaultObject = {
+  error: {
+    probability: 0.1,
+    code: 503,
+    data: 'Service unavailable'
+  },
+  drop: {
+    probability: 0.05
+  },
+  truncate: {
+    probability: 0.05
+  },
+  malformed: {
+    probability: 0.05
+  },
+  hang: {
+    probability: 0.01
+  }
+}
+
+/**
+ * Fault object handler (optional) injects failures on random requests to
+ * test the resilience of clients: error responses, dropped connections,
+ * truncated or malformed bodies and requests that never get a response.
+ * Faults are declarative and do not require permission to run JS code.
+ */
+class FaultHandler {
+  /**
+   * Initialize fault handler.
+   *
+   * @param {FaultObject} faults The faults to handle
+   */
+  constructor (faults) {
+    this.cases = this._validate(faults)
+  }
+
+  /**
+   * Supported faults.
+   *
+   * @type {string[]}
+   */
+  static get FAULT_TYPES () {
+    return Object.keys(SCHEMA.definitions.faults.properties)
+  }
+
+  /**
+   * Check if the fault cases object is properly formatted.
+   *
+   * @param {FaultObject} faults Fault cases object to validate
+   * @throws {Error} Unsupported fault
+   * @throws {Error} Fault probability must be a number between 0 and 1
+   * @throws {Error} Total probability of faults must not exceed 1
+   * @returns {FaultObject}
+   */
+  _validate (faults) {
+    if (!faults || typeof faults !== 'object' || faults.constructor !== Object) {
+      throw new Error('Faults must be a key-value object')
+    }
+
+    let total = 0
+    for (const [fault, caseObject] of Object.entries(faults)) {
+      if (FaultHandler.FAULT_TYPES.indexOf(fault) === -1) {
+        throw new Error(`Unsupported fault: ${fault}`)
+      }
+      const { probability, ...response } = caseObject || {}
+      if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+        throw new Error(`Fault "${fault}" probability must be a number between 0 and 1`)
+      }
+      if (fault === 'error') {
+        try {
+          const rh = new ResponseHandler({ code: 500, ...response })
           if (!rh) {
-            throw new Error('Failed to create response handler from except')
+            throw new Error('Failed to create response handler from fault')
           }
         } catch (e) {
-          throw new Error(`Except case "${assertion}" field "response" ` +
-            `incompatible with Response Object Interface: ${e.message}`)
+          throw new Error(`Fault "error" incompatible with Response Object Interface: ${e.message}`)
         }
       }
+      total += probability
+    }
+    if (total > 1) {
+      throw new Error(`Total probability of faults must not exceed 1, got ${total}`)
     }
 
-    return cases
+    return faults
+  }
+
+  /**
+   * Pick a fault for the current request, if any.
+   *
+   * @returns {string?}
+   */
+  pick () {
+    let chance = Math.random()
+    for (const [fault, { probability }] of Object.entries(this.cases)) {
+      if (chance < probability) {
+        return fault
+      }
+      chance -= probability
+    }
+
+    return null
+  }
+
+  /**
+   * Get the response of the error fault.
+   *
+   * @returns {ResponseObject}
+   */
+  get errorResponse () {
+    const { probability, ...response } = this.cases.error
+    return { code: 500, ...response }
   }
 }
 
@@ -748,19 +2301,44 @@ const RequestContextObject = {
 }
 
 module.exports = {
+  SCHEMA,
+  nameSamplest,
+  compareContract,
   castContent,
+  parseRange,
+  randomBetween,
+  hashSeed,
+  seededRandom,
   repeatContent,
+  paginateWindow,
+  paginationLinks,
+  queryContent,
   generateContent,
   capture,
+  PLACEHOLDER_FILTERS,
+  parsePlaceholder,
   interpret,
   ContextManager,
   RequestObject,
   RequestHandler,
+  ContractViolationObject,
   RequestContextObject,
   ResponseObject,
+  PaginateObject,
+  QueryOptionsObject,
   ResponseMetadataObject,
   ResponseHandler,
+  ResponseVariantObject,
+  ResponseSelector,
+  ConditionObject,
+  validateCondition,
+  matchCondition,
   ExceptObject,
   ExceptCaseObject,
-  ExceptHandler
+  ExceptHandler,
+  StateObject,
+  StateHandler,
+  FaultObject,
+  FaultCaseObject,
+  FaultHandler
 }
@@ -0,0 +1,247 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+'use strict'
+
+const { readFileSync } = require('fs')
+
+const Faker = require('faker')
+
+/**
+ * Locale of faker.js to negotiate with the Accept-Language header.
+ *
+ * @type {string}
+ */
+const AUTO_LOCALE = 'auto'
+
+/**
+ * Supported locales of faker.js (e.g. de, en_US, pt_BR).
+ *
+ * @type {string[]}
+ */
+const LOCALES = Object.keys(Faker.locales)
+
+/**
+ * Mockup placeholders with optional arguments as JSON values (e.g.
+ * {{random.number({"min": 1, "max": 99})}} or {{lorem.words(3)}}).
+ *
+ * @type {RegExp}
+ */
+const MOCKUP_REGEX = /\{\{\s*([a-z]+)\.([a-z0-9_]+)\s*(?:\((.*?)\))?\s*\}\}/ig
+
+/**
+ * Source files of faker.js modules, when they are not named after them.
+ *
+ * @type {Record<string, string>}
+ */
+const MODULE_FILES = {
+  phone: 'phone_number'
+}
+
+/**
+ * Check if a locale is supported by faker.js or negotiated.
+ *
+ * @param {string?} locale The locale to validate
+ * @throws {Error} Unsupported locale
+ * @returns {string?}
+ */
+function validateLocale (locale) {
+  if (locale === undefined || locale === null) {
+    return null
+  } else if (locale !== AUTO_LOCALE && LOCALES.indexOf(locale) === -1) {
+    throw new Error(`Unsupported locale: ${locale}`)
+  }
+
+  return locale
+}
+
+/**
+ * Pick the supported locale with the highest quality from the value of an
+ * Accept-Language header (e.g. "de-CH,de;q=0.9,en;q=0.8" => de_CH). Language
+ * tags fall back to their primary language (e.g. fr-BE => fr).
+ *
+ * @param {string?} header The Accept-Language header
+ * @param {string} fallback The locale if none is supported
+ * @returns {string}
+ */
+function negotiateLocale (header, fallback = 'en') {
+  const known = new Map(LOCALES.map(e => [e.toLowerCase(), e]))
+  const ranges = `${header || ''}`.split(',')
+    .map(e => e.trim().split(';q='))
+    .map(([tag, q], i) => ({ tag: tag.toLowerCase().replace(/-/g, '_'), q: q === undefined ? 1 : Number(q), i }))
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+
+  for (const { tag } of ranges) {
+    const locale = known.get(tag) || known.get(tag.split('_')[0])
+    if (locale !== undefined) {
+      return locale
+    }
+  }
+
+  return fallback
+}
+
+/**
+ * Run a generator with a locale of faker.js, then restore the previous one.
+ *
+ * @param {string?} locale The locale (null to keep the current one)
+ * @param {CallableFunction} generator The function that generates content
+ * @returns {any}
+ */
+function withLocale (locale, generator) {
+  if (locale === null) {
+    return generator()
+  }
+
+  const previous = Faker.locale
+  Faker.locale = locale
+  try {
+    return generator()
+  } finally {
+    Faker.locale = previous
+  }
+}
+
+/**
+ * Parse the arguments of a mockup placeholder as a list of JSON values.
+ *
+ * @param {string} text The arguments between parentheses
+ * @param {string} placeholder The mockup placeholder
+ * @throws {Error} Invalid arguments
+ * @returns {any[]}
+ */
+function parseMockupArguments (text, placeholder) {
+  if (text === undefined || text.trim().length === 0) {
+    return []
+  }
+
+  try {
+    return JSON.parse(`[${text}]`)
+  } catch (e) {
+    throw new Error(`Arguments of ${placeholder} must be JSON values: ${e.message}`)
+  }
+}
+
+/**
+ * Get the generator of faker.js for a mockup placeholder.
+ *
+ * @param {string} module The faker.js module (e.g. name)
+ * @param {string} method The generator of the module (e.g. firstName)
+ * @param {string} placeholder The mockup placeholder
+ * @throws {Error} Unsupported mockup placeholder
+ * @returns {CallableFunction}
+ */
+function mockupGenerator (module, method, placeholder) {
+  const generator = Faker[module] && Faker[module][method]
+  if (!(generator instanceof Function)) {
+    throw new Error(`Unsupported mockup placeholder ${placeholder}`)
+  }
+
+  return generator
+}
+
+/**
+ * Check if the mockup placeholders of a text have a generator in faker.js
+ * and arguments as JSON values, without generating content.
+ *
+ * @param {string} text The text with mockup placeholders
+ * @throws {Error} Unsupported mockup placeholder or invalid arguments
+ * @returns {string}
+ */
+function validateMockups (text) {
+  const regex = new RegExp(MOCKUP_REGEX.source, MOCKUP_REGEX.flags)
+  let match
+  while ((match = regex.exec(text)) !== null) {
+    const [placeholder, module, method, args] = match
+    mockupGenerator(module, method, placeholder)
+    parseMockupArguments(args, placeholder)
+  }
+
+  return text
+}
+
+/**
+ * Replace the mockup placeholders of a text with content generated by
+ * faker.js. Generated content is not interpreted again.
+ *
+ * @param {string} text The text with mockup placeholders
+ * @throws {Error} Unsupported mockup placeholder or invalid arguments
+ * @returns {string}
+ */
+function fakeContent (text) {
+  return text.replace(MOCKUP_REGEX, (placeholder, module, method, args) => {
+    const generator = mockupGenerator(module, method, placeholder)
+
+    return generator(...parseMockupArguments(args, placeholder))
+  })
+}
+
+/**
+ * Find the arguments accepted by the generators of a faker.js module from
+ * its source, since the generators are bound and do not show their
+ * signature. Options objects are listed with the fields read from them
+ * (e.g. number => ["options: {min, max, precision}"]).
+ *
+ * @param {string} module The name of the module (e.g. random)
+ * @returns {Record<string, string[]>} Arguments by generator
+ */
+function generatorArguments (module) {
+  let source
+  try {
+    source = readFileSync(require.resolve(`faker/lib/${MODULE_FILES[module] || module}.js`), 'utf8')
+  } catch (e) {
+    return {} // NOTE: the layout of faker.js may change
+  }
+
+  const generators = {}
+  const definitions = source.split(/\b(?:this|self)\.(?=\w+\s*=\s*function)/).slice(1)
+  for (const definition of definitions) {
+    const match = /^(\w+)\s*=\s*function\s*\w*\s*\(([^)]*)\)/.exec(definition)
+    if (match === null) {
+      continue
+    }
+    generators[match[1]] = match[2].split(',').map(e => e.trim()).filter(e => e).map(param => {
+      const fields = new Set()
+      const regex = new RegExp(`\\b${param}\\.(\\w+)`, 'g')
+      let field
+      while ((field = regex.exec(definition)) !== null) {
+        if (field[1] !== 'length') {
+          fields.add(field[1])
+        }
+      }
+      return fields.size > 0 ? `${param}: {${[...fields].join(', ')}}` : param
+    })
+  }
+
+  return generators
+}
+
+module.exports = {
+  AUTO_LOCALE,
+  LOCALES,
+  validateLocale,
+  negotiateLocale,
+  withLocale,
+  parseMockupArguments,
+  validateMockups,
+  fakeContent,
+  generatorArguments
+}
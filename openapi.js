@@ -0,0 +1,544 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+const YAML = require('js-yaml')
+
+const {
+  capture,
+  nameSamplest,
+  RequestHandler,
+  ResponseHandler
+} = require('./lib')
+const { FORMATS } = require('./format')
+const { checkSamplest } = require('./check')
+
+/**
+ * Faker placeholders for string formats of OpenAPI schemas.
+ *
+ * @type {Record<string, string>}
+ */
+const STRING_FORMATS = {
+  email: '{{internet.email}}',
+  uri: '{{internet.url}}',
+  url: '{{internet.url}}',
+  hostname: '{{internet.domainName}}',
+  ipv4: '{{internet.ip}}',
+  ipv6: '{{internet.ipv6}}',
+  uuid: '{{random.uuid}}',
+  password: '{{internet.password}}',
+  date: '{{date.past}}',
+  'date-time': '{{date.recent}}',
+  byte: '{{random.alphaNumeric}}'
+}
+
+/**
+ * Parse an OpenAPI document from JSON or YAML text.
+ *
+ * @param {string} text The document as text
+ * @throws {Error} Unsupported OpenAPI version
+ * @returns {object}
+ */
+function parseOpenApi (text) {
+  const doc = YAML.load(text) // NOTE: JSON is valid YAML
+  if (!doc || typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3.')) {
+    throw new Error('Only OpenAPI 3 documents are supported')
+  }
+
+  return doc
+}
+
+/**
+ * Resolve a local reference (e.g. #/components/schemas/Book) of a document.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {object} node The node that may be a reference
+ * @returns {object}
+ */
+function resolveRef (doc, node) {
+  const seen = new Set()
+  while (node && typeof node.$ref === 'string') {
+    if (seen.has(node.$ref) || !node.$ref.startsWith('#/')) {
+      return {} // NOTE: cyclic or external references are not followed
+    }
+    seen.add(node.$ref)
+    node = node.$ref.substr(2).split('/').reduce((parent, field) => {
+      const key = field.replace(/~1/g, '/').replace(/~0/g, '~')
+      return parent && parent[key]
+    }, doc)
+  }
+
+  return node || {}
+}
+
+/**
+ * Get the first example of a node with "example" or "examples" fields.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {object} node Parameter, media type or header object
+ * @returns {any}
+ */
+function exampleOf (doc, node) {
+  if (node.example !== undefined) {
+    return node.example
+  } else if (node.examples && typeof node.examples === 'object') {
+    for (const each of Object.values(node.examples)) {
+      const example = resolveRef(doc, each)
+      if (example.value !== undefined) {
+        return example.value
+      }
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Build sample content from a schema. Generated content uses faker
+ * placeholders picked from formats and collects the cast options
+ * required by numbers and booleans; otherwise plain example values
+ * are used, as expected from request contracts.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {object} schema The schema to sample
+ * @param {{ generate: boolean, cast: Record<string, string> }} options Sampling options
+ * @param {string[]} path Path of the current field
+ * @param {number} depth Current depth to stop recursive schemas
+ * @returns {any}
+ */
+function sampleSchema (doc, schema, options, path = [], depth = 0) {
+  schema = resolveRef(doc, schema)
+  if (depth > 8) {
+    return null
+  } else if (schema.example !== undefined) {
+    return schema.example
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0]
+  } else if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((content, each) => {
+      return Object.assign(content, sampleSchema(doc, each, options, path, depth + 1))
+    }, {})
+  } else if (Array.isArray(schema.oneOf || schema.anyOf)) {
+    return sampleSchema(doc, (schema.oneOf || schema.anyOf)[0], options, path, depth + 1)
+  }
+
+  const type = [].concat(schema.type).find(e => e && e !== 'null') ||
+    (schema.properties ? 'object' : 'string')
+  if (type === 'object') {
+    const content = {}
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+      content[field] = sampleSchema(doc, property, options, [...path, field], depth + 1)
+    }
+    return content
+  } else if (type === 'array') {
+    return [sampleSchema(doc, schema.items || {}, options, [...path, '*'], depth + 1)]
+  } else if (!options.generate) {
+    const defaults = { integer: 0, number: 0, boolean: false }
+    return type in defaults ? defaults[type] : 'string'
+  } else if (type === 'integer' || type === 'number' || type === 'boolean') {
+    if (path.length > 0) {
+      options.cast[path.join('.')] = type === 'boolean' ? 'boolean' : 'number'
+    }
+    return type === 'boolean' ? '{{random.boolean}}' : '{{random.number}}'
+  }
+
+  return STRING_FORMATS[schema.format] || '{{lorem.word}}'
+}
+
+/**
+ * Get the JSON media type object of a content map (or the first one).
+ *
+ * @param {Record<string, object>} content The content map
+ * @returns {object?}
+ */
+function mediaOf (content) {
+  if (!content || typeof content !== 'object') {
+    return null
+  }
+
+  const type = Object.keys(content).find(e => e.includes('json')) ||
+    Object.keys(content)[0]
+
+  return type ? content[type] : null
+}
+
+/**
+ * Build a ResponseObject from an OpenAPI response object.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {string} code The status code
+ * @param {object} response The OpenAPI response object
+ * @returns {ResponseObject}
+ */
+function buildResponse (doc, code, response) {
+  const res = { code: Number(code.replace(/XX$/i, '00')) }
+
+  const headers = {}
+  for (const [name, node] of Object.entries(response.headers || {})) {
+    const header = resolveRef(doc, node)
+    let example = exampleOf(doc, header)
+    if (example === undefined) {
+      example = sampleSchema(doc, header.schema || {}, { generate: true, cast: {} })
+    }
+    headers[name] = `${example}`
+  }
+  if (Object.keys(headers).length > 0) {
+    res.headers = headers
+  }
+
+  const media = mediaOf(response.content)
+  if (media !== null) {
+    const example = exampleOf(doc, media)
+    if (example !== undefined) {
+      res.data = example
+    } else {
+      const options = { generate: true, cast: {} }
+      res.data = sampleSchema(doc, media.schema || {}, options)
+      if (Object.keys(options.cast).length > 0) {
+        res.$data = { cast: options.cast }
+      }
+    }
+  }
+
+  return res
+}
+
+/**
+ * Build a RequestObject from an OpenAPI operation.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {string} path The OpenAPI path
+ * @param {string} method The HTTP method
+ * @param {object[]} parameters Path and operation parameters
+ * @param {object} operation The OpenAPI operation object
+ * @returns {RequestObject}
+ */
+function buildRequest (doc, path, method, parameters, operation) {
+  const req = {
+    route: path.replace(/\{([^}]+)\}/g, ':$1'),
+    method
+  }
+
+  const query = {}
+  const headers = {}
+  for (const parameter of parameters) {
+    const param = resolveRef(doc, parameter)
+    let example = exampleOf(doc, param)
+    if (example === undefined) {
+      example = sampleSchema(doc, param.schema || {}, { generate: false })
+    }
+    const value = Array.isArray(example) ? example.map(e => `${e}`) : `${example}`
+    if (param.in === 'query') {
+      query[param.name] = value
+    } else if (param.in === 'header') {
+      headers[param.name] = `${value}`
+    }
+  }
+  if (Object.keys(query).length > 0) {
+    req.query = query
+  }
+  if (Object.keys(headers).length > 0) {
+    req.headers = headers
+  }
+
+  const body = resolveRef(doc, operation.requestBody)
+  const media = mediaOf(body.content)
+  if (media !== null) {
+    const example = exampleOf(doc, media)
+    req.payload = example !== undefined
+      ? example
+      : sampleSchema(doc, media.schema || {}, { generate: false })
+  }
+
+  return req
+}
+
+/**
+ * Get a file-friendly name from an operation id, without path separators or
+ * leading dots. The name is empty if nothing is left of the operation id.
+ *
+ * @param {string?} operationId The OpenAPI operation id
+ * @returns {string}
+ */
+function nameOperation (operationId) {
+  return `${operationId || ''}`.replace(/[^a-z0-9_.-]+/ig, '-').replace(/^[.-]+|[.-]+$/g, '')
+}
+
+/**
+ * Convert an OpenAPI 3 document into samplests, one for each operation. The
+ * first successful (2xx) response becomes the response of the samplest and
+ * all other responses become except cases keyed by status code, triggered on
+ * demand by clients with the X-Samplest-Except header set to the status code.
+ * Samplests are named after the operation id, made safe for file names.
+ * All samplests are checked before any is returned, so an import is never
+ * written in part.
+ *
+ * @param {object} doc The OpenAPI document
+ * @throws {Error} Operation cannot be imported as a valid samplest
+ * @returns {Array<[string, object]>} Pairs of names and samplests
+ */
+function importOpenApi (doc) {
+  const samplests = []
+  const names = new Set()
+  for (const [path, pathNode] of Object.entries(doc.paths || {})) {
+    const pathItem = resolveRef(doc, pathNode)
+    for (const method of RequestHandler.HTTP_VERBS) {
+      const operation = pathItem[method]
+      if (!operation) {
+        continue
+      }
+
+      const parameters = new Map()
+      for (const each of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const param = resolveRef(doc, each)
+        parameters.set(`${param.in}:${param.name}`, param)
+      }
+
+      const request = buildRequest(doc, path, method, [...parameters.values()], operation)
+      const codes = Object.keys(operation.responses || {}).filter(e => e !== 'default').sort()
+      const success = codes.find(e => e.startsWith('2'))
+      const response = success
+        ? buildResponse(doc, success, resolveRef(doc, operation.responses[success]))
+        : { code: 200 }
+
+      const samplest = { request, response }
+      for (const code of codes.filter(e => e !== success)) {
+        const res = resolveRef(doc, operation.responses[code])
+        const assertion = `${code} ${res.description || 'response'}`
+        samplest.except = samplest.except || {}
+        samplest.except[assertion] = {
+          expect: { not: { 'headers.x-samplest-except': code } },
+          response: buildResponse(doc, code, res)
+        }
+      }
+
+      const [error] = checkSamplest(samplest).filter(e => e.level === 'error')
+      if (error) {
+        throw new Error(`Cannot import ${method.toUpperCase()} ${path}, ${error.path}: ${error.message}`)
+      }
+
+      const base = nameOperation(operation.operationId) || nameSamplest(method, path)
+      let name = base
+      for (let i = 2; names.has(name); i++) {
+        name = `${base}-${i}`
+      }
+      names.add(name)
+      samplests.push([name, samplest])
+    }
+  }
+
+  return samplests
+}
+
+/**
+ * Headers described by other fields of OpenAPI documents.
+ *
+ * @type {string[]}
+ */
+const IGNORED_HEADERS = ['accept', 'content-type', 'authorization']
+
+/**
+ * Infer a schema from sample content. Cast options of the response metadata
+ * take precedence over the datatype of the sample value, while strings made
+ * of a single faker placeholder are described by the matching format.
+ *
+ * @param {any} value The sample value
+ * @param {Record<string, string>} cast Cast options by field path
+ * @param {string[]} path Path of the current field
+ * @returns {object}
+ */
+function inferSchema (value, cast = {}, path = []) {
+  const castType = cast[path.join('.')]
+  if (castType === 'number' || castType === 'boolean') {
+    return { type: castType }
+  } else if (value === null) {
+    return { nullable: true }
+  } else if (Array.isArray(value)) {
+    return {
+      type: 'array',
+      items: value.length > 0 ? inferSchema(value[0], cast, [...path, '*']) : {}
+    }
+  } else if (typeof value === 'object') {
+    const properties = {}
+    for (const [field, each] of Object.entries(value)) {
+      properties[field] = inferSchema(each, cast, [...path, field])
+    }
+    return { type: 'object', properties }
+  } else if (typeof value === 'boolean') {
+    return { type: 'boolean', example: value }
+  } else if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number', example: value }
+  }
+
+  const text = `${value}`
+  const format = Object.keys(STRING_FORMATS).find(e => STRING_FORMATS[e] === text)
+  if (format) {
+    return { type: 'string', format }
+  } else if (/\{[^}]+\}/.test(text)) {
+    return { type: 'string' } // NOTE: generated or context dependent content
+  }
+
+  return { type: 'string', example: text }
+}
+
+/**
+ * Build an OpenAPI response object from a ResponseObject.
+ *
+ * @param {ResponseHandler} res The response handler
+ * @param {string} description The description of the response
+ * @returns {object}
+ */
+function exportResponse (res, description) {
+  const response = { description }
+
+  const headers = {}
+  for (const [name, value] of Object.entries(res.headers)) {
+    if (IGNORED_HEADERS.indexOf(name) === -1) {
+      headers[name] = { schema: inferSchema(value) }
+    }
+  }
+  if (Object.keys(headers).length > 0) {
+    response.headers = headers
+  }
+
+  if (res.file !== null) {
+    const type = res.headers['content-type'] || FORMATS.file
+    response.content = { [type]: { schema: { type: 'string', format: 'binary' } } }
+  } else if (res.data !== null) {
+    const cast = (res.$data && res.$data.cast) || {}
+    const types = res.headers['content-type']
+      ? [res.headers['content-type']]
+      : [].concat(res.format).map(e => FORMATS[e])
+    response.content = {}
+    for (const type of types) {
+      response.content[type] = { schema: inferSchema(res.data, cast) }
+    }
+  }
+
+  return response
+}
+
+/**
+ * Build an OpenAPI operation object from a samplest.
+ *
+ * @param {string} name The name of the samplest used as operation id
+ * @param {object} samplest The samplest to convert
+ * @returns {[string, string, object]} The path, the method and the operation
+ */
+function exportOperation (name, { request, response, responses, except }) {
+  const req = new RequestHandler(request)
+  const path = req.route.replace(/:([a-z0-9_]+)\??/ig, '{$1}')
+
+  const parameters = []
+  for (const param of capture(path)) {
+    parameters.push({ name: param, in: 'path', required: true, schema: { type: 'string' } })
+  }
+  for (const [name, value] of Object.entries(req.query)) {
+    parameters.push({ name, in: 'query', schema: inferSchema(value), example: value })
+  }
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (IGNORED_HEADERS.indexOf(name) === -1) {
+      parameters.push({ name, in: 'header', schema: inferSchema(value), example: value })
+    }
+  }
+
+  const operation = { operationId: name }
+  if (parameters.length > 0) {
+    operation.parameters = parameters
+  }
+
+  if (req.payload !== null) {
+    const type = typeof req.payload === 'string'
+      ? 'text/plain'
+      : req.headers['content-type'] || 'application/json'
+    operation.requestBody = {
+      content: { [type]: { schema: inferSchema(req.payload), example: req.payload } }
+    }
+  }
+
+  const variants = responses || [response]
+  operation.responses = {}
+  variants.forEach(({ weight, ...variant }, i) => {
+    const res = new ResponseHandler(variant)
+    const description = variants.length > 1 ? `Variant ${i + 1}` : 'Happy path'
+    if (`${res.code}` in operation.responses) {
+      operation.responses[`${res.code}`].description += `; ${description}`
+    } else {
+      operation.responses[`${res.code}`] = exportResponse(res, description)
+    }
+  })
+  for (const [assertion, caseObject] of Object.entries(except || {})) {
+    const code = `${caseObject.response.code}`
+    if (code in operation.responses) {
+      operation.responses[code].description += `; ${assertion}`
+    } else {
+      const rh = new ResponseHandler(caseObject.response)
+      operation.responses[code] = exportResponse(rh, assertion)
+    }
+  }
+
+  return [path, req.method, operation]
+}
+
+/**
+ * Convert samplests into an OpenAPI 3 document. Each route and method pair
+ * becomes a path operation and each except case documents another response
+ * code of the operation.
+ *
+ * @param {Array<[string, object]>} samplests Pairs of names and samplests
+ * @param {{ title: string, version: string }} info The API information
+ * @returns {object}
+ */
+function exportOpenApi (samplests, info) {
+  const paths = {}
+  const names = new Set()
+  for (const [name, samplest] of samplests) {
+    let operationId = name
+    for (let i = 2; names.has(operationId); i++) {
+      operationId = `${name}-${i}`
+    }
+    const [path, method, operation] = exportOperation(operationId, samplest)
+    paths[path] = paths[path] || {}
+    if (!(method in paths[path])) {
+      paths[path][method] = operation
+      names.add(operationId)
+    }
+  }
+
+  return { openapi: '3.0.3', info, paths }
+}
+
+/**
+ * Serialize an OpenAPI document as JSON or YAML.
+ *
+ * @param {object} doc The OpenAPI document
+ * @param {boolean} yaml Flag to serialize as YAML
+ * @returns {string}
+ */
+function stringifyOpenApi (doc, yaml = false) {
+  return yaml ? YAML.dump(doc, { noRefs: true }) : JSON.stringify(doc, null, 2)
+}
+
+module.exports = {
+  parseOpenApi,
+  importOpenApi,
+  exportOpenApi,
+  stringifyOpenApi
+}
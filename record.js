@@ -0,0 +1,294 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+
+/**
+ * Headers that are specific to a connection or to a client and are not part
+ * of the communication interface of an API. Credentials are never recorded.
+ *
+ * @type {string[]}
+ */
+const IGNORED_HEADERS = [
+  'accept-encoding',
+  'authorization',
+  'cache-control',
+  'connection',
+  'content-length',
+  'cookie',
+  'date',
+  'etag',
+  'host',
+  'keep-alive',
+  'postman-token',
+  'proxy-authorization',
+  'proxy-connection',
+  'set-cookie',
+  'transfer-encoding',
+  'upgrade',
+  'user-agent',
+  'x-powered-by'
+]
+
+/**
+ * Turn the numeric segments of a path into route parameters, named after
+ * the previous segment (e.g. /books/42/pages/7 => /books/:book/pages/:page).
+ *
+ * @param {string} pathname The path of a request
+ * @returns {string}
+ */
+function routeOf (pathname) {
+  const names = new Set()
+  const segments = pathname.split('/')
+  for (let i = 0; i < segments.length; i++) {
+    if (/^\d+$/.test(segments[i])) {
+      const previous = (segments[i - 1] || '').replace(/^:.*/, '')
+      const base = previous.replace(/[^a-z0-9_]+/ig, '_').replace(/s$/i, '') || 'id'
+      let name = base
+      for (let n = 2; names.has(name); n++) {
+        name = `${base}${n}`
+      }
+      names.add(name)
+      segments[i] = `:${name}`
+    }
+  }
+
+  return segments.join('/')
+}
+
+/**
+ * Keep only the headers relevant for a samplest.
+ *
+ * @param {Record<string, string|string[]>} headers The headers to filter
+ * @returns {Record<string, string>}
+ */
+function filterHeaders (headers) {
+  const filtered = {}
+  for (const [key, value] of Object.entries(headers || {})) {
+    const name = key.toLowerCase()
+    if (IGNORED_HEADERS.indexOf(name) === -1 && value !== undefined) {
+      filtered[name] = Array.isArray(value) ? value.join(', ') : `${value}`
+    }
+  }
+
+  return filtered
+}
+
+/**
+ * Parse a body according to its content type. JSON bodies are parsed, while
+ * any other body is kept as text.
+ *
+ * @param {Buffer?} body The raw body
+ * @param {string?} type The content type of the body
+ * @returns {any}
+ */
+function parseBody (body, type) {
+  if (!body || body.length === 0) {
+    return undefined
+  }
+
+  const text = body.toString('utf8')
+  if (/json/i.test(type || '')) {
+    try {
+      return JSON.parse(text)
+    } catch (e) {
+      return text
+    }
+  }
+
+  return text
+}
+
+/**
+ * Find the numbers and booleans of a JSON value, which would otherwise be
+ * rendered as strings, and map their field paths to cast options. Fields
+ * with a dot in their name cannot be addressed and are left out. The items
+ * of an array share their cast options with a wildcard (e.g. *.id) when
+ * they all agree, otherwise each item is addressed by its index.
+ *
+ * @param {any} value The JSON value
+ * @param {string[]} path Path of the current field
+ * @returns {Record<string, string>}
+ */
+function castRules (value, path = []) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return path.length > 0 ? { [path.join('.')]: typeof value } : {}
+  } else if (value === null || typeof value !== 'object') {
+    return {}
+  }
+
+  if (Array.isArray(value) && value.length > 0) {
+    const [shared, ...others] = value.map(each => castRules(each, [...path, '*']))
+    const agree = (rules) => Object.keys(rules).length === Object.keys(shared).length &&
+      Object.entries(rules).every(([key, type]) => shared[key] === type)
+    if (others.every(agree)) {
+      return shared
+    }
+  }
+
+  const cast = {}
+  for (const [key, each] of Object.entries(value)) {
+    if (key.indexOf('.') === -1) {
+      Object.assign(cast, castRules(each, [...path, key]))
+    }
+  }
+
+  return cast
+}
+
+/**
+ * Observed Exchange Object Interface.
+ *
+ * @type {{
+ *  method: string,
+ *  path: string,
+ *  query: Record<string, string|string[]>,
+ *  headers: Record<string, string>,
+ *  body: Buffer?,
+ *  response: {
+ *    code: number,
+ *    headers: Record<string, string>,
+ *    body: Buffer?
+ *  }
+ * }}
+ */
+const ObservedExchangeObject = {
+  method: 'get',
+  path: '/api/v1/books/42',
+  query: {
+    lang: 'en'
+  },
+  headers: {
+    'content-type': 'application/json'
+  },
+  body: null,
+  response: {
+    code: 200,
+    headers: {
+      'content-type': 'application/json'
+    },
+    body: '{"id":42}'
+  }
+}
+
+/**
+ * Build a samplest from an observed request and response. The numbers and
+ * booleans of JSON responses keep their type with cast options.
+ *
+ * @param {ObservedExchangeObject} exchange The observed exchange
+ * @returns {{ request: RequestObject, response: ResponseObject }}
+ */
+function recordSamplest ({ method, path, query, headers, body, response }) {
+  const request = {
+    route: routeOf(path),
+    method: method.toLowerCase()
+  }
+
+  const queryString = {}
+  for (const [key, value] of Object.entries(query || {})) {
+    if (typeof value === 'string') {
+      queryString[key] = value
+    } else if (Array.isArray(value) && value.every(e => typeof e === 'string')) {
+      queryString[key] = value
+    }
+  }
+  if (Object.keys(queryString).length > 0) {
+    request.query = queryString
+  }
+
+  const requestHeaders = filterHeaders(headers)
+  if (Object.keys(requestHeaders).length > 0) {
+    request.headers = requestHeaders
+  }
+
+  const payload = parseBody(body, requestHeaders['content-type'])
+  if (payload !== undefined && (typeof payload === 'string' || payload.constructor === Object)) {
+    request.payload = payload
+  }
+
+  const res = { code: response.code }
+  const responseHeaders = filterHeaders(response.headers)
+  if (Object.keys(responseHeaders).length > 0) {
+    res.headers = responseHeaders
+  }
+  const data = parseBody(response.body, responseHeaders['content-type'])
+  if (data !== undefined) {
+    res.data = data
+    const cast = castRules(data)
+    if (Object.keys(cast).length > 0) {
+      res.$data = { cast }
+    }
+  }
+
+  return { request, response: res }
+}
+
+/**
+ * Forward a request to an upstream service and collect its response. The
+ * path of the request is appended to the path of the upstream base URL (e.g.
+ * /books on http://localhost:3000/api is forwarded to /api/books).
+ *
+ * @param {string} upstream The base URL of the upstream service
+ * @param {{
+ *  method: string,
+ *  url: string,
+ *  headers: Record<string, string>,
+ *  body: Buffer?
+ * }} req The request to forward
+ * @returns {Promise<{ code: number, headers: object, body: Buffer }>}
+ */
+function forwardRequest (upstream, { method, url, headers, body }) {
+  const base = new URL(upstream)
+  const target = new URL(url, base)
+  target.pathname = base.pathname.replace(/\/+$/, '') + target.pathname
+  const client = target.protocol === 'https:' ? https : http
+  const forwardHeaders = Object.assign({}, headers, {
+    host: target.host,
+    'accept-encoding': 'identity' // NOTE: keep bodies readable
+  })
+  if (body && body.length > 0) {
+    forwardHeaders['content-length'] = body.length
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method, headers: forwardHeaders }, (res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('error', reject)
+      res.on('end', () => resolve({
+        code: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks)
+      }))
+    })
+    req.on('error', reject)
+    req.end(body && body.length > 0 ? body : undefined)
+  })
+}
+
+module.exports = {
+  routeOf,
+  recordSamplest,
+  forwardRequest,
+  ObservedExchangeObject
+}
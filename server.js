@@ -0,0 +1,542 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+'use strict'
+
+const { readdirSync, statSync } = require('fs')
+const { join, dirname, resolve } = require('path')
+
+const Express = require('express')
+const BodyParser = require('body-parser')
+
+const { RouteRegistry, ContentBuilder } = require('./api')
+const { ADMIN_PATH, adminRouter } = require('./admin')
+const { HAPPY_PATH, RequestJournal } = require('./journal')
+const { MemoryStore } = require('./store')
+const { formatOfFile, readDocument, resolveSamplest } = require('./fixtures')
+const { validateLocale } = require('./mockup')
+const { version } = require('./package.json')
+
+/**
+ * Security warning for unsafe except cases.
+ *
+ * @param {string} file Unsafe filename
+ * @returns {string}
+ */
+function securityWarning (file) {
+  return `***
+Security warning! ExceptObject with JS validation found in file "${file}"
+
+The ExceptObject allows deviation from the happy path, by allowing the user to
+have CUSTOM validation conditions. This feature require EXPLICIT permission to
+run JavaScript code! Declarative conditions ("expect") do not run any code.
+
+Restart samplest with the --allow-js flag, ONLY IF YOU KNOW WHAT YOU'RE DOING!
+***`
+}
+
+/**
+ * Iterate over a directory and retrieve a list of files.
+ *
+ * @param {string} dir The directory to scan
+ * @param {string[]} files Accumulated files
+ * @returns {string[]} List of files
+ */
+function getFilesFromDirectory (dir, files = []) {
+  for (const fname of readdirSync(dir)) {
+    const fp = join(dir, fname)
+    if (statSync(fp).isDirectory()) {
+      files = getFilesFromDirectory(fp, files)
+    } else {
+      files.push(fp)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Check if a file can be loaded as samplest.
+ *
+ * @param {string} file The file path
+ * @returns {boolean}
+ */
+function isSamplestFile (file) {
+  return formatOfFile(file) !== null
+}
+
+/**
+ * Read and parse the content of a samplest file, with all references to
+ * fixtures resolved.
+ *
+ * @param {string} file The file path
+ * @returns {[object, Set<string>]} The content and its fixture files
+ */
+function readSamplest (file) {
+  return resolveSamplest(readDocument(file), file)
+}
+
+/**
+ * Scan a directory for samplest files and pair each file with its content and
+ * its fixture files. Fixture files referenced by samplests are skipped,
+ * unless they are samplests too.
+ *
+ * @param {string} dirpath The directory path
+ * @param {CallableFunction?} onError Called with the file and the error of
+ * each file that cannot be read, instead of failing the scan
+ * @returns {AsyncGenerator}
+ */
+async function * scanDirectory (dirpath, onError = null) {
+  const samplests = []
+  const fixtures = new Set()
+  for (const file of getFilesFromDirectory(dirpath)) {
+    if (isSamplestFile(file)) {
+      let content, files
+      try {
+        [content, files] = readSamplest(file)
+      } catch (e) {
+        if (!(onError instanceof Function)) {
+          throw e
+        }
+        onError(file, e)
+        continue
+      }
+      samplests.push([file, content, files])
+      files.forEach(e => fixtures.add(e))
+    }
+  }
+
+  for (const [file, content, files] of samplests) {
+    if (!fixtures.has(resolve(file)) || (content && 'request' in content)) {
+      yield [file, content, files]
+    }
+  }
+}
+
+/**
+ * Poll a directory for added, changed or deleted samplest files. Polling is
+ * preferred over native file system events because recursive watching is
+ * not available on every platform.
+ *
+ * @param {string} dirpath The directory path
+ * @param {number} interval Milliseconds between two scans
+ * @param {CallableFunction} listener Called with the event and the file
+ * @returns {NodeJS.Timeout}
+ */
+function watchDirectory (dirpath, interval, listener) {
+  const signature = (file) => {
+    const { mtimeMs, size } = statSync(file)
+    return `${mtimeMs}:${size}`
+  }
+
+  let known = new Map()
+  for (const file of getFilesFromDirectory(dirpath).filter(isSamplestFile)) {
+    known.set(file, signature(file))
+  }
+
+  return setInterval(() => {
+    const current = new Map()
+    try {
+      for (const file of getFilesFromDirectory(dirpath).filter(isSamplestFile)) {
+        current.set(file, signature(file))
+      }
+    } catch (e) {
+      return // NOTE: files can disappear while scanning, retry on next tick
+    }
+    for (const [file, sign] of current) {
+      if (!known.has(file)) {
+        listener('add', file)
+      } else if (known.get(file) !== sign) {
+        listener('change', file)
+      }
+    }
+    for (const file of known.keys()) {
+      if (!current.has(file)) {
+        listener('unlink', file)
+      }
+    }
+    known = current
+  }, interval)
+}
+
+/**
+ * Create a content builder from a samplest file content.
+ *
+ * @param {string} file The samplest file
+ * @param {object} content The samplest content
+ * @param {{
+ *  allowJs: boolean,
+ *  strict: boolean,
+ *  delay: string?,
+ *  faults: FaultObject?,
+ *  seed: string?,
+ *  timeout: number,
+ *  store: MemoryStore,
+ *  base: string?
+ * }} options Build options
+ * @throws {Error} User permission required
+ * @returns {ContentBuilder}
+ */
+function buildSamplest (file, content, { allowJs, store, ...options }) {
+  const cb = new ContentBuilder(content, { store, base: resolve(dirname(file)), ...options })
+  if (cb.except && cb.except.usesJs && allowJs !== true) {
+    throw new Error(`User permission required!\n${securityWarning(file)}`)
+  }
+
+  return cb
+}
+
+/**
+ * Describe the routes of a registry that are never served.
+ *
+ * @param {RouteRegistry} registry The route registry
+ * @returns {Map<string, string>} Conflicts by source
+ */
+function describeConflicts (registry) {
+  const conflicts = new Map()
+  for (const { source, conflict, by } of registry.conflicts()) {
+    conflicts.set(source, `${conflict === 'duplicate' ? 'duplicate of' : 'shadowed by'} ${by}`)
+  }
+
+  return conflicts
+}
+
+/**
+ * Server Options Object Interface.
+ *
+ * @type {{
+ *  dirs: string[]?,
+ *  samplests: object[]?,
+ *  allowJs: boolean?,
+ *  strict: boolean?,
+ *  delay: number|string?,
+ *  faults: FaultObject?,
+ *  seed: string|number?,
+ *  timeout: number?,
+ *  locale: string?,
+ *  precedence: string?,
+ *  admin: boolean?,
+ *  journalSize: number?,
+ *  watch: boolean?,
+ *  host: string?,
+ *  port: number?,
+ *  log: CallableFunction?
+ * }}
+ */
+const ServerOptionsObject = {
+  dirs: ['examples'],
+  samplests: ['SamplestObject (loaded from memory)'],
+  allowJs: false,
+  strict: false,
+  delay: '100..500',
+  faults: 'FaultObject | null',
+  seed: 'string | null',
+  timeout: 100,
+  locale: 'en | de | ... | auto (from Accept-Language)',
+  precedence: 'order | specific',
+  admin: true,
+  journalSize: 1000,
+  watch: false,
+  host: '127.0.0.1',
+  port: '0 (any free port)',
+  log: 'console.log | null (quiet)'
+}
+
+/**
+ * The samplest server serves the samplests of some directories and the ones
+ * loaded from memory. It can listen on its own or be mounted as router in
+ * an existing express application. Errors are thrown instead of exiting the
+ * process, so it can run in the setup hooks of tests.
+ */
+class SamplestServer {
+  /**
+   * Initialize samplest server.
+   *
+   * @param {ServerOptionsObject} options Server options
+   * @throws {Error} Unsupported route precedence, journal limit or locale
+   */
+  constructor ({
+    dirs = [],
+    samplests = [],
+    allowJs = false,
+    strict = false,
+    delay = null,
+    faults = null,
+    seed = null,
+    timeout = 100,
+    locale = null,
+    precedence = 'order',
+    admin = true,
+    journalSize = RequestJournal.DEFAULT_LIMIT,
+    watch = false,
+    host = '127.0.0.1',
+    port = 0,
+    log = null
+  } = {}) {
+    this.dirs = [].concat(dirs)
+    this.samplests = [].concat(samplests)
+    this.watch = watch
+    this.host = host
+    this.port = port
+    this.log = log instanceof Function ? log : () => {}
+
+    // Samplests with state share the same store for as long as the server runs
+    this.store = new MemoryStore()
+    this.options = { allowJs, strict, delay, faults, seed, timeout, locale: validateLocale(locale), store: this.store }
+    this.journal = new RequestJournal(journalSize)
+    this.registry = new RouteRegistry((date, { flow, code, delay }, req) => {
+      const { method, originalUrl } = req
+      const latency = delay > 0 ? `; ${delay}ms delay` : ''
+      const status = code === null ? 'no response' : code
+      this.log(`${date.toISOString()} - ${method} ${originalUrl} (${status}; ${flow || HAPPY_PATH}${latency})`)
+    }, { precedence, journal: this.journal })
+
+    this.router = Express.Router()
+    this.router.use(BodyParser.json())
+    this.router.use(BodyParser.urlencoded({ extended: true }))
+    this.router.use(BodyParser.text())
+    if (admin) {
+      this.router.use(ADMIN_PATH, adminRouter(this.registry, { version }))
+    }
+    this.router.use(this.registry.middleware())
+
+    this.app = Express()
+    this.app.disable('x-powered-by')
+    this.app.use(this.router)
+
+    this.fixtures = new Map()
+    this.watchers = []
+    this.sockets = new Set()
+    this.server = null
+    this.loaded = false
+    this.counter = 0
+  }
+
+  /**
+   * Load the samplests of all directories and from memory. Directories are
+   * watched for changes if the server was created with watch.
+   *
+   * @throws {Error} Samplest cannot be loaded
+   * @returns {Promise<SamplestServer>}
+   */
+  async load () {
+    if (this.loaded) {
+      return this
+    }
+
+    for (const dir of this.dirs) {
+      for await (const [file, content, files] of scanDirectory(dir)) {
+        let cb
+        try {
+          cb = buildSamplest(file, content, this.options)
+        } catch (e) {
+          throw new Error(`${file}: ${e.message}`)
+        }
+        this.registry.set(file, cb)
+        this.fixtures.set(file, files)
+      }
+    }
+    this.samplests.forEach(e => this.add(e))
+    if (this.watch) {
+      this.dirs.forEach(e => this._watch(e))
+    }
+    this.loaded = true
+
+    return this
+  }
+
+  /**
+   * Load a samplest object from memory. References to fixtures are not
+   * resolved and files are sent relative to the working directory.
+   *
+   * @param {object} samplest The samplest content
+   * @param {string?} source The source of the samplest (default: memory:N)
+   * @throws {Error} Samplest is invalid
+   * @returns {string} The source of the samplest
+   */
+  add (samplest, source = null) {
+    source = source || `memory:${++this.counter}`
+    const cb = new ContentBuilder(samplest, { ...this.options, base: process.cwd() })
+    if (cb.except && cb.except.usesJs && this.options.allowJs !== true) {
+      throw new Error(`User permission required!\n${securityWarning(source)}`)
+    }
+    this.registry.set(source, cb)
+
+    return source
+  }
+
+  /**
+   * Remove a samplest by its source.
+   *
+   * @param {string} source The source of the samplest
+   * @returns {boolean}
+   */
+  remove (source) {
+    this.fixtures.delete(source)
+    return this.registry.delete(source)
+  }
+
+  /**
+   * Watch a directory and apply added, changed or deleted samplests. A
+   * samplest that fails validation keeps its last good version.
+   *
+   * @param {string} dir The directory to watch
+   * @returns void
+   */
+  _watch (dir) {
+    const reload = (event, file) => {
+      const entry = new Date().toISOString()
+      try {
+        const [content, files] = readSamplest(file)
+        const cb = buildSamplest(file, content, this.options)
+        this.registry.set(file, cb)
+        this.fixtures.set(file, files)
+        const action = event === 'add' ? 'Loaded' : 'Reloaded'
+        const conflict = describeConflicts(this.registry).get(file)
+        this.log(`${entry} - ${action} ${file} (${cb.request}${conflict ? `; ${conflict}` : ''})`)
+      } catch (e) {
+        const status = this.registry.has(file) ? 'last good version kept' : 'not loaded'
+        this.log(`${entry} - Failure: ${file} (${status}): ${e.message}`)
+      }
+    }
+    this.watchers.push(watchDirectory(dir, 500, (event, file) => {
+      // Samplests are reloaded when their fixture files change too
+      const dependents = [...this.fixtures]
+        .filter(([, files]) => files.has(resolve(file)))
+        .map(([e]) => e)
+      if (event === 'unlink' && this.registry.has(file)) {
+        this.remove(file)
+        this.log(`${new Date().toISOString()} - Removed ${file}`)
+      } else if (event !== 'unlink' && (this.registry.has(file) || dependents.length === 0)) {
+        reload(event, file)
+      }
+      dependents.forEach(e => reload('change', e))
+    }))
+  }
+
+  /**
+   * Load the samplests (if not loaded yet) and start listening.
+   *
+   * @param {number?} port The port to listen (default: from options)
+   * @param {string?} host The hostname to bind (default: from options)
+   * @throws {Error} Samplest cannot be loaded or port is not available
+   * @returns {Promise<{ address: string, port: number, url: string }>}
+   */
+  async listen (port = this.port, host = this.host) {
+    await this.load()
+    if (this.server !== null) {
+      throw new Error('Server is already listening')
+    }
+
+    await new Promise((resolve, reject) => {
+      const server = this.app.listen(port, host)
+      server.on('connection', (socket) => {
+        this.sockets.add(socket)
+        socket.once('close', () => this.sockets.delete(socket))
+      })
+      server.once('error', reject)
+      server.once('listening', () => {
+        this.server = server
+        resolve()
+      })
+    })
+
+    return this.address
+  }
+
+  /**
+   * The bound address of the server, if it is listening.
+   *
+   * @type {{ address: string, port: number, url: string }?}
+   */
+  get address () {
+    if (this.server === null) {
+      return null
+    }
+
+    const { address, port } = this.server.address()
+    const hostname = address.indexOf(':') === -1 ? address : `[${address}]`
+
+    return { address, port, url: `http://${hostname}:${port}` }
+  }
+
+  /**
+   * Stop watching directories and stop listening. Open connections are
+   * destroyed (e.g. requests with a hang fault).
+   *
+   * @returns {Promise<void>}
+   */
+  async close () {
+    this.watchers.forEach(e => clearInterval(e))
+    this.watchers = []
+    if (this.server === null) {
+      return
+    }
+
+    const server = this.server
+    this.server = null
+    await new Promise((resolve, reject) => {
+      server.close(err => err ? reject(err) : resolve())
+      this.sockets.forEach(e => e.destroy())
+      this.sockets.clear()
+    })
+  }
+}
+
+/**
+ * Create a samplest server.
+ *
+ * @param {ServerOptionsObject} options Server options
+ * @returns {SamplestServer}
+ */
+function createServer (options = {}) {
+  return new SamplestServer(options)
+}
+
+/**
+ * Create an express router that serves samplests, to be mounted in an
+ * existing application. The router has a close method to stop watching
+ * directories when the application shuts down.
+ *
+ * @param {ServerOptionsObject} options Server options
+ * @throws {Error} Samplest cannot be loaded
+ * @returns {Promise<any>} Express router
+ */
+async function createMiddleware (options = {}) {
+  const server = createServer(options)
+  await server.load()
+
+  return Object.assign(server.router, { close: () => server.close() })
+}
+
+module.exports = {
+  securityWarning,
+  getFilesFromDirectory,
+  isSamplestFile,
+  readSamplest,
+  scanDirectory,
+  watchDirectory,
+  buildSamplest,
+  describeConflicts,
+  ServerOptionsObject,
+  SamplestServer,
+  createServer,
+  createMiddleware
+}
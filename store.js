@@ -0,0 +1,152 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+'use strict'
+
+/**
+ * Deep copy an item to keep stored items safe from outside changes.
+ *
+ * @param {any} item The item to copy
+ * @returns {any}
+ */
+function copy (item) {
+  return JSON.parse(JSON.stringify(item))
+}
+
+/**
+ * The memory store keeps named collections of items for the lifetime of the
+ * process. Each item is identified by the value of a key field, which is set
+ * to an incremental number if the inserted item does not have one already.
+ */
+class MemoryStore {
+  /**
+   * Initialize memory store.
+   */
+  constructor () {
+    this.collections = new Map()
+  }
+
+  /**
+   * Get a collection by name and create it if it does not exist.
+   *
+   * @param {string} name The collection name
+   * @returns {{ sequence: number, items: Map<string, object> }}
+   */
+  _collection (name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, { sequence: 0, items: new Map() })
+    }
+
+    return this.collections.get(name)
+  }
+
+  /**
+   * List all items from a collection in insertion order.
+   *
+   * @param {string} name The collection name
+   * @returns {object[]}
+   */
+  list (name) {
+    return [...this._collection(name).items.values()].map(copy)
+  }
+
+  /**
+   * Find an item by its identity.
+   *
+   * @param {string} name The collection name
+   * @param {string|number} id The identity to lookup
+   * @returns {object?}
+   */
+  find (name, id) {
+    const item = this._collection(name).items.get(`${id}`)
+
+    return item === undefined ? null : copy(item)
+  }
+
+  /**
+   * Insert a new item or replace an existing one with the same identity.
+   *
+   * @param {string} name The collection name
+   * @param {string} key The identity field
+   * @param {object} item The item to store
+   * @returns {object}
+   */
+  insert (name, key, item) {
+    const collection = this._collection(name)
+    const stored = copy(item)
+    if (stored[key] === undefined || stored[key] === null) {
+      do {
+        collection.sequence += 1
+      } while (collection.items.has(`${collection.sequence}`))
+      stored[key] = collection.sequence
+    }
+    collection.items.set(`${stored[key]}`, stored)
+
+    return copy(stored)
+  }
+
+  /**
+   * Merge changes into an existing item. The identity cannot be changed.
+   *
+   * @param {string} name The collection name
+   * @param {string} key The identity field
+   * @param {string|number} id The identity of the item to update
+   * @param {object} changes The fields to merge
+   * @returns {object?}
+   */
+  update (name, key, id, changes) {
+    const { items } = this._collection(name)
+    const item = items.get(`${id}`)
+    if (item === undefined) {
+      return null
+    }
+    const stored = Object.assign(item, copy(changes), { [key]: item[key] })
+
+    return copy(stored)
+  }
+
+  /**
+   * Remove an item by its identity.
+   *
+   * @param {string} name The collection name
+   * @param {string|number} id The identity of the item to remove
+   * @returns {object?}
+   */
+  remove (name, id) {
+    const { items } = this._collection(name)
+    const item = items.get(`${id}`)
+    if (item === undefined) {
+      return null
+    }
+    items.delete(`${id}`)
+
+    return item
+  }
+
+  /**
+   * Drop all collections.
+   *
+   * @returns void
+   */
+  reset () {
+    this.collections.clear()
+  }
+}
+
+module.exports = { MemoryStore }
@@ -0,0 +1,121 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ContentBuilder, RouteRegistry } = require('../api')
+const { ADMIN_PATH, routeParams, adminRouter } = require('../admin')
+const { MemoryStore } = require('../store')
+
+describe('Discover the served samplests with the admin API', () => {
+  const store = new MemoryStore()
+  const registry = new RouteRegistry()
+  const api = express()
+  api.use(ADMIN_PATH, adminRouter(registry, { version: '1.2.3' }))
+  api.use(registry.middleware())
+
+  registry.set('book.json', new ContentBuilder({
+    request: { method: 'get', route: '/books/:book', headers: { 'X-Token': 'secret' } },
+    responses: [
+      { code: 200, data: { id: '{route.book}', token: '{headers.x-token}' } },
+      { code: 503, data: { error: 'Try again' } }
+    ],
+    select: 'sequential',
+    except: {
+      'Book must be numeric': {
+        expect: { 'route.book': { regex: '^\\d+$' } },
+        response: { code: 400, data: { error: 'Bad book' } }
+      }
+    }
+  }))
+  registry.set('create.json', new ContentBuilder({
+    request: { method: 'post', route: '/books', payload: { title: 'Dune' } },
+    response: { code: 201, data: { title: 'Untitled' } },
+    state: { collection: 'books' }
+  }, { store }))
+
+  it('should extract route parameters from paths', () => {
+    assert.strict.deepEqual(routeParams('/books/:book', '/Books/4%202/'), { book: '4 2' })
+    assert.strict.equal(routeParams('/books/:book', '/authors/42'), null)
+    assert.strict.equal(routeParams('/books/:book', '/books'), null)
+    assert.throws(() => routeParams('/books/:book', '/books/%E0%A4%A'), URIError)
+  })
+
+  it('should show the version, uptime and number of routes', async () => {
+    const { body } = await request(api).get(ADMIN_PATH).expect(200)
+    assert.strict.equal(body.version, '1.2.3')
+    assert.strict.equal(body.routes, 2)
+    assert.ok(body.uptime >= 0 && !isNaN(Date.parse(body.launch)))
+  })
+
+  it('should list the routes with their contract and except cases', async () => {
+    const { body } = await request(api).get(`${ADMIN_PATH}/routes`).expect(200)
+    assert.strict.deepEqual(body.map(e => [e.source, e.method, e.route, e.variants, e.state]), [
+      ['book.json', 'GET', '/books/:book', 2, null],
+      ['create.json', 'POST', '/books', 1, 'books']
+    ])
+    assert.strict.deepEqual(body[0].except, [{
+      assertion: 'Book must be numeric',
+      validate: [],
+      expect: { 'route.book': { regex: '^\\d+$' } },
+      code: 400
+    }])
+    assert.strict.deepEqual(body[1].contract, {
+      query: {},
+      headers: {},
+      payload: { title: 'Dune' },
+      strict: false
+    })
+  })
+
+  it('should return the samplest of a route', async () => {
+    const { body } = await request(api).get(`${ADMIN_PATH}/samplest`)
+      .query({ method: 'POST', route: '/books' }).expect(200)
+    assert.strict.equal(body.state.collection, 'books')
+
+    await request(api).get(`${ADMIN_PATH}/samplest`).query({ source: 'author.json' }).expect(404)
+    await request(api).get(`${ADMIN_PATH}/samplest`).expect(400)
+  })
+
+  it('should render sample responses without side effects', async () => {
+    const sample = (query) => request(api).get(`${ADMIN_PATH}/sample`).query({ source: 'book.json', ...query })
+
+    const { body: first } = await sample({ path: '/books/42' }).expect(200)
+    assert.strict.deepEqual(first.content, { id: '42', token: 'secret' })
+    assert.strict.equal(first.flow, 'Variant 1')
+    const { body: second } = await sample({ path: '/books/42', variant: 2 }).expect(200)
+    assert.strict.equal(second.code, 503)
+    const { body: except } = await sample({ path: '/books/dune' }).expect(200)
+    assert.strict.equal(except.code, 400)
+    await sample({ path: '/authors/42' }).expect(400)
+    const { body: malformed } = await sample({ path: '/books/%E0%A4%A' }).expect(400)
+    assert.strict.equal(malformed.error, 'Malformed path segment "%E0%A4%A"')
+    await sample({ variant: 3 }).expect(400)
+
+    // The sequence of variants and the store are untouched
+    await request(api).get('/books/42').expect(200)
+    const { body: created } = await request(api).get(`${ADMIN_PATH}/sample`)
+      .query({ source: 'create.json' }).expect(200)
+    assert.strict.deepEqual(created.content, { title: 'Untitled' })
+    assert.strict.deepEqual(store.list('books'), [])
+  })
+})
@@ -198,6 +198,53 @@ describe('Test response for a known sample and a mockup request', () => {
   })
 })
 
+describe('Test strict mode with the request as contract', () => {
+  const samplest = {
+    request: {
+      route: '/books',
+      method: 'post',
+      payload: {
+        title: 'The hobbit',
+        pages: 310
+      }
+    },
+    response: {
+      code: 201,
+      data: 'added {payload.title}'
+    }
+  }
+
+  it('should reject non-conforming requests with 400 if strict', () => {
+    const cb = new ContentBuilder(samplest, { strict: true })
+    const { flow, code, content } = cb.generate({ body: { title: 42, isbn: 'x' } })
+
+    assert.strict.equal(code, 400)
+    assert.strict.equal(flow, 'Contract violation')
+    assert.strict.deepEqual(content.violations, [
+      { path: 'payload.title', message: 'expected string, got number' },
+      { path: 'payload.pages', message: 'missing required field' },
+      { path: 'payload.isbn', message: 'unknown field' }
+    ])
+  })
+
+  it('should accept conforming requests if strict', () => {
+    const cb = new ContentBuilder(samplest, { strict: true })
+    const { code, content } = cb.generate({ body: { title: 'Dune', pages: 412 } })
+
+    assert.strict.equal(code, 201)
+    assert.strict.equal(content, 'added Dune')
+  })
+
+  it('should let the samplest override the server strict mode', () => {
+    const request = { ...samplest.request, strict: false }
+    const lenient = new ContentBuilder({ ...samplest, request }, { strict: true })
+    assert.strict.equal(lenient.generate({ body: { title: 42 } }).code, 201)
+
+    const strict = new ContentBuilder({ ...samplest, request: { ...request, strict: true } })
+    assert.strict.equal(strict.generate({ body: { title: 42 } }).code, 400)
+  })
+})
+
 describe('Test an API instance with actual http calls', () => {
   const cb = new ContentBuilder({
     request: {
@@ -221,7 +268,7 @@ describe('Test an API instance with actual http calls', () => {
     except: {
       'API token must be valid (if set)': {
         validate: [
-          'headers["x-secret"] && Buffer.from(headers["x-secret"], "base64").toString("ascii") === "samplest"'
+          'headers["x-secret"] && atob(headers["x-secret"]) === "samplest"'
         ],
         response: {
           code: 403,
@@ -307,3 +354,54 @@ describe('Test an API instance with actual http calls', () => {
       .end(err => err ? assert.fail(err) : null)
   })
 })
+
+describe('Test except rules that throw or run out of time', () => {
+  it('should return 500 with the failed assertion', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/', method: 'get' },
+      response: { code: 200, data: 'ok' },
+      except: {
+        'Title must be lowercase': {
+          validate: ['payload.title.toLowerCase() === payload.title'],
+          response: { code: 400, data: 'invalid title' }
+        }
+      }
+    })
+    const { flow, code, headers, content } = cb.generate({ body: {} })
+
+    assert.strict.equal(code, 500)
+    assert.strict.equal(flow, 'Title must be lowercase (failed)')
+    assert.strict.deepEqual(headers, { 'X-Assertion': 'Title must be lowercase' })
+    assert.ok(content.error.startsWith('Except case "Title must be lowercase" failed: '))
+  })
+
+  it('should return 500 for rules that run out of time', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/', method: 'get' },
+      response: { code: 200, data: 'ok' },
+      except: {
+        'Never ends': {
+          validate: ['(() => { for (;;) {} })()'],
+          response: { code: 400 }
+        }
+      }
+    }, { timeout: 20 })
+
+    assert.strict.equal(cb.generate({}).code, 500)
+  })
+
+  it('should return 500 for promise callbacks that run out of time', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/', method: 'get' },
+      response: { code: 200, data: 'ok' },
+      except: {
+        'Never settles': {
+          validate: ['Promise.resolve().then(() => { for (;;) {} }) && true'],
+          response: { code: 400 }
+        }
+      }
+    }, { timeout: 20 })
+
+    assert.strict.equal(cb.generate({}).code, 500)
+  })
+})
@@ -67,4 +67,14 @@ describe('Capture placeholders from a string', () => {
       assert.fail(`Didn't count up to ${totalWords}`)
     }
   })
+
+  it('should capture placeholders with filters and their arguments', async () => {
+    const string = 'Hello {payload.name|trim|upper}, limit {query.limit|default:10}, tags {payload.tags|join:, }'
+    const expectedWords = ['payload.name|trim|upper', 'query.limit|default:10', 'payload.tags|join:, ']
+
+    for await (const field of capture(string)) {
+      assert.strict.equal(field, expectedWords.shift())
+    }
+    assert.strict.equal(expectedWords.length, 0)
+  })
 })
@@ -0,0 +1,134 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+
+const { checkSamplest, formatPath } = require('../check')
+
+describe('Check samplests and collect all issues', () => {
+  const errors = (samplest) => checkSamplest(samplest)
+    .filter(e => e.level === 'error')
+    .map(({ path, message }) => [path, message])
+
+  it('should format JSON paths', () => {
+    assert.strict.equal(formatPath([]), '')
+    assert.strict.equal(formatPath(['response', '$data', 'cast', '*.id']), 'response.$data.cast["*.id"]')
+    assert.strict.equal(formatPath(['responses', 0, 'code']), 'responses[0].code')
+    assert.strict.equal(formatPath(['except', 'Must be 18+', 'validate', 1]), 'except["Must be 18+"].validate[1]')
+  })
+
+  it('should report nothing for a valid samplest', () => {
+    assert.strict.deepEqual(checkSamplest({
+      request: { method: 'get', route: '/books' },
+      response: { code: 200, data: [{ id: '1' }], $data: { cast: { '*.id': 'number' } } }
+    }), [])
+  })
+
+  it('should collect all errors with their paths', () => {
+    const issues = errors({
+      request: { method: 'options', query: { page: 1 } },
+      response: {
+        code: 999,
+        data: [{ id: '1' }],
+        $data: { cast: { '*.id': 'float' }, repeat: 'many' },
+        delay: 'soon'
+      },
+      except: {
+        'Must be an admin': { validate: ['headers.role ==='], response: { code: 403 } },
+        'Must be adult': { expect: { 'payload.age': { between: [18, 99] } } }
+      },
+      faults: { error: { probability: 0.5 }, flood: { probability: 0.1 } }
+    })
+
+    assert.strict.deepEqual(issues.map(([path]) => path), [
+      'request.method',
+      'request.route',
+      'request.query',
+      'response.code',
+      'response.delay',
+      'response.$data.cast["*.id"]',
+      'response.$data.repeat',
+      'except["Must be an admin"].validate[0]',
+      'except["Must be adult"].expect',
+      'except["Must be adult"].response',
+      'faults.flood'
+    ])
+    assert.strict.deepEqual(issues[1], ['request.route', 'Missing required field'])
+    assert.strict.deepEqual(issues[5], ['response.$data.cast["*.id"]', 'Unsupported cast type: float'])
+    assert.strict.deepEqual(issues[10], ['faults.flood', 'Unsupported fault: flood'])
+  })
+
+  it('should check the filters of placeholders', () => {
+    assert.strict.deepEqual(errors({
+      request: { method: 'get', route: '/' },
+      response: {
+        code: 200,
+        headers: { 'X-Limit': '{query.limit|default:10|int}' },
+        data: { name: '{payload.name|shout}' }
+      },
+      except: {
+        'Name is required': {
+          expect: { 'payload.name': { exists: true } },
+          response: { code: 400, headers: { 'X-Since': '{query.since|date:year}' } }
+        }
+      }
+    }), [
+      ['response.data', 'Unsupported filter "shout" in placeholder {payload.name|shout}'],
+      ['except["Name is required"].response.headers', 'Unsupported date format "year" in placeholder ' +
+        '{query.since|date:year}, expected one of iso, date, time, utc, unix, ms']
+    ])
+  })
+
+  it('should check response variants', () => {
+    assert.strict.deepEqual(errors({
+      request: { method: 'get', route: '/' },
+      responses: [{ code: 200 }, { code: 'ok', weight: -1 }],
+      select: 'random'
+    }), [
+      ['responses[1].code', 'Response HTTP status code invalid: ok'],
+      ['responses[1].weight', 'Weight must be a positive number'],
+      ['select', 'Unsupported response selection: random']
+    ])
+
+    assert.strict.deepEqual(errors({
+      request: { method: 'get', route: '/' },
+      response: { code: 200 },
+      responses: [{ code: 200 }]
+    }), [['responses', 'Samplest must have either response or responses, not both']])
+  })
+
+  it('should warn about unknown fields and JS rules', () => {
+    const issues = checkSamplest({
+      request: { method: 'get', route: '/', body: {} },
+      response: { code: 200, status: 'OK' },
+      except: {
+        'Always fails': { validate: ['false'], response: { code: 500 } }
+      },
+      comment: 'TODO'
+    })
+
+    assert.strict.deepEqual(issues, [
+      { path: 'comment', level: 'warning', message: 'Unknown field is ignored' },
+      { path: 'request.body', level: 'warning', message: 'Unknown field is ignored' },
+      { path: 'response.status', level: 'warning', message: 'Unknown field is ignored' },
+      { path: 'except["Always fails"].validate', level: 'warning', message: 'JS rules run only with --allow-js' }
+    ])
+  })
+})
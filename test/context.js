@@ -62,6 +62,13 @@ describe('Lookup fields in objects and return associated values', () => {
     assert.strict.deepEqual(ctx.get('something.c'), 'copyright ©')
   })
 
+  it('should return falsy values if field exist', async () => {
+    const ctx = new ContextManager({ zero: 0, no: false, empty: '' })
+    assert.strict.equal(ctx.get('zero'), 0)
+    assert.strict.equal(ctx.get('no'), false)
+    assert.strict.equal(ctx.get('empty'), '')
+  })
+
   it('should return appropriate representation of value only', async () => {
     const ctx = new ContextManager(testObject)
     assert.strict.deepEqual(ctx.get('x.list'), [1, 2, 3])
@@ -0,0 +1,92 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ResponseHandler } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+
+describe('Delay responses by fixed or random milliseconds', () => {
+  it('should fail if delay is invalid', () => {
+    for (const delay of [-1, '-5', 'soon', '500..100', '100..', true, {}]) {
+      assert.throws(() => {
+        new ResponseHandler({ code: 200, delay })
+      }, `${delay}`)
+    }
+
+    for (const delay of [0, 250, '250', '..250', '100..250']) {
+      assert.doesNotThrow(() => {
+        new ResponseHandler({ code: 200, delay })
+      }, `${delay}`)
+    }
+  })
+
+  it('should pick a delay from the response or the server default', () => {
+    const request = { route: '/', method: 'get' }
+
+    const none = new ContentBuilder({ request, response: { code: 200 } })
+    assert.strict.equal(none.generate({}).delay, 0)
+
+    const fixed = new ContentBuilder({ request, response: { code: 200, delay: 150 } }, { delay: 10 })
+    assert.strict.equal(fixed.generate({}).delay, 150)
+
+    const server = new ContentBuilder({ request, response: { code: 200 } }, { delay: '20..40' })
+    for (let i = 0; i < 10; i++) {
+      const { delay } = server.generate({})
+      assert.ok(delay >= 20 && delay <= 40, `${delay} not in 20..40`)
+    }
+
+    assert.throws(() => {
+      new ContentBuilder({ request, response: { code: 200 } }, { delay: 'later' })
+    })
+  })
+
+  it('should pick the delay of the except case', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/', method: 'get' },
+      response: { code: 200, delay: 10 },
+      except: {
+        'Always fails': {
+          validate: ['false'],
+          response: { code: 504, delay: '300' }
+        }
+      }
+    })
+
+    const { code, delay } = cb.generate({})
+    assert.strict.equal(code, 504)
+    assert.strict.equal(delay, 300)
+  })
+
+  it('should wait before sending the response', async () => {
+    const cb = new ContentBuilder({
+      request: { route: '/slow', method: 'get' },
+      response: { code: 200, data: 'done', delay: 100 }
+    })
+    const api = express()
+    registerHttpCall(cb, api)
+
+    const start = Date.now()
+    await request(api).get('/slow').expect(200, JSON.stringify('done'))
+    assert.ok(Date.now() - start >= 95, 'response was not delayed')
+  })
+})
@@ -20,7 +20,7 @@
 
 const assert = require('assert')
 
-const { ExceptHandler } = require('../lib')
+const { ExceptHandler, matchCondition } = require('../lib')
 
 describe('Validate request-response exception cases', () => {
   it('should throw errors for non-objects except cases', () => {
@@ -61,7 +61,7 @@ describe('Validate request-response exception cases', () => {
     const testObject = {
       'assertion message': {
         validate: [
-          'something to validate'
+          'something === "to validate"'
         ],
         response: {
           code: 201,
@@ -75,3 +75,118 @@ describe('Validate request-response exception cases', () => {
     })
   })
 })
+
+describe('Run except rules in an isolated context', () => {
+  const ctx = {
+    route: { book: '42' },
+    query: {},
+    headers: { 'x-secret': 'c2FtcGxlc3Q=' },
+    payload: { title: 'The hobbit' },
+    time: '0'
+  }
+  const handler = (validate, timeout) => new ExceptHandler({
+    '#': { validate, response: { code: 400 } }
+  }, timeout)
+
+  it('should compile rules once at load time', () => {
+    assert.throws(() => handler(['route.book ==== 42']), /invalid JS on position 0/)
+  })
+
+  it('should pass, skip or fail rules from the request context', () => {
+    assert.strict.equal(handler(['Number(route.book) === 42']).check('#', ctx), true)
+    assert.strict.equal(handler(['undefined', 'payload.title === "The hobbit"']).check('#', ctx), true)
+    assert.strict.equal(handler(['payload.title === "Silmarillion"']).check('#', ctx), false)
+    assert.strict.equal(handler(['atob(headers["x-secret"]) === "samplest"']).check('#', ctx), true)
+    assert.strict.equal(handler(['btoa("samplest") === headers["x-secret"]']).check('#', ctx), true)
+  })
+
+  it('should not reach the application globals', () => {
+    const rules = [
+      'typeof process === "undefined"',
+      'typeof require === "undefined"',
+      'typeof Buffer === "undefined"',
+      'route.constructor.constructor("return typeof process")() === "undefined"'
+    ]
+
+    assert.strict.equal(handler(rules).check('#', ctx), true)
+  })
+
+  it('should keep the request context frozen', () => {
+    assert.throws(() => handler(['(route.book = "1") && true']).check('#', ctx))
+    assert.strict.equal(ctx.route.book, '42')
+  })
+
+  it('should stop rules that run out of time', () => {
+    assert.throws(() => handler(['(() => { while (true) {} })()'], 50).check('#', ctx), /timed out/)
+  })
+})
+
+describe('Match declarative conditions without JS code', () => {
+  const ctx = {
+    route: { book: '142' },
+    query: { lang: 'en', page: '0' },
+    headers: { 'x-secret': 'samplest' },
+    payload: { title: 'The hobbit', tags: ['fantasy'], ebook: false },
+    time: '0'
+  }
+
+  it('should throw errors for invalid conditions', () => {
+    const invalid = [
+      'route.book > 100',
+      { 'route.book': { greater: 100 } },
+      { 'query.lang': { in: 'en' } },
+      { 'payload.title': { exists: 'yes' } },
+      { 'payload.title': { type: 'text' } },
+      { 'payload.title': { regex: '(' } },
+      { any: { 'route.book': '1' } },
+      { all: 'route.book' },
+      { not: 'route.book' }
+    ]
+    for (const expect of invalid) {
+      assert.throws(() => {
+        new ExceptHandler({ '#': { expect, response: { code: 400 } } })
+      }, JSON.stringify(expect))
+    }
+  })
+
+  it('should match fields with operators', () => {
+    const matches = [
+      { 'route.book': { gt: 100, lte: 142 } },
+      { 'route.book': '142' },
+      { 'headers.X-Secret': { equals: 'samplest' } },
+      { 'query.lang': { in: ['en', 'ro'] } },
+      { 'query.page': { gte: 0, lt: 1 } },
+      { 'payload.title': { regex: ['^the', 'i'] } },
+      { 'payload.ebook': false },
+      { 'payload.tags': { type: 'array' } },
+      { 'payload.author': { exists: false } }
+    ]
+    for (const condition of matches) {
+      assert.strict.equal(matchCondition(condition, ctx), true, JSON.stringify(condition))
+    }
+
+    assert.strict.equal(matchCondition({ 'route.book': { gt: 200 } }, ctx), false)
+    assert.strict.equal(matchCondition({ 'route.missing': { gt: -1 } }, ctx), false)
+  })
+
+  it('should combine conditions with all, any and not', () => {
+    assert.strict.equal(matchCondition({
+      all: [{ 'query.lang': 'en' }, { 'route.book': { gt: 100 } }],
+      any: [{ 'query.lang': 'ro' }, { not: { 'payload.title': { exists: false } } }]
+    }, ctx), true)
+    assert.strict.equal(matchCondition([{ 'query.lang': 'en' }, { not: { 'query.lang': 'en' } }], ctx), false)
+  })
+
+  it('should not require permission to run JS code', () => {
+    const declarative = new ExceptHandler({
+      '#': { expect: { 'route.book': { gt: 100 } }, response: { code: 400 } }
+    })
+    const js = new ExceptHandler({
+      '#': { validate: ['true'], expect: {}, response: { code: 400 } }
+    })
+
+    assert.strict.equal(declarative.usesJs, false)
+    assert.strict.equal(declarative.check('#', ctx), true)
+    assert.strict.equal(js.usesJs, true)
+  })
+})
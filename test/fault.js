@@ -0,0 +1,124 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const http = require('http')
+const express = require('express')
+const request = require('supertest')
+
+const { FaultHandler } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+
+describe('Validate fault profiles', () => {
+  it('should throw errors for invalid faults', () => {
+    const invalid = [
+      null,
+      [],
+      { explode: { probability: 0.1 } },
+      { drop: {} },
+      { drop: { probability: 2 } },
+      { drop: { probability: 0.6 }, hang: { probability: 0.6 } },
+      { error: { probability: 0.1, code: 'teapot' } }
+    ]
+    for (const faults of invalid) {
+      assert.throws(() => {
+        new FaultHandler(faults)
+      }, JSON.stringify(faults))
+    }
+  })
+
+  it('should pick faults by probability', () => {
+    assert.strict.equal(new FaultHandler({ drop: { probability: 0 } }).pick(), null)
+    assert.strict.equal(new FaultHandler({ drop: { probability: 1 } }).pick(), 'drop')
+    assert.strict.equal(new FaultHandler({
+      hang: { probability: 0 },
+      malformed: { probability: 1 }
+    }).pick(), 'malformed')
+  })
+})
+
+describe('Inject faults into responses', () => {
+  const samplest = (faults, options) => new ContentBuilder({
+    request: { route: '/books', method: 'get' },
+    response: { code: 200, data: { title: 'The hobbit' } },
+    faults
+  }, options)
+
+  it('should prefer the faults of the samplest over the server faults', () => {
+    const options = { faults: { drop: { probability: 1 } } }
+
+    assert.strict.equal(samplest(null, options).generate({}).fault, 'drop')
+    assert.strict.equal(samplest({ hang: { probability: 1 } }, options).generate({}).fault, 'hang')
+  })
+
+  it('should answer the error fault with the fault as flow', () => {
+    const cb = samplest({
+      error: { probability: 1, code: 503, data: 'unavailable {route.x}' }
+    })
+    const { code, content, flow } = cb.generate({ params: { x: 'now' } })
+
+    assert.strict.equal(code, 503)
+    assert.strict.equal(content, 'unavailable now')
+    assert.strict.equal(flow, 'error')
+  })
+
+  it('should drop the connection without a response', async () => {
+    const api = express()
+    registerHttpCall(samplest({ drop: { probability: 1 } }), api)
+
+    await assert.rejects(request(api).get('/books'))
+  })
+
+  it('should send a malformed JSON body', async () => {
+    const api = express()
+    registerHttpCall(samplest({ malformed: { probability: 1 } }), api)
+
+    const res = await request(api).get('/books').buffer(true).parse((res, done) => {
+      let text = ''
+      res.on('data', chunk => { text += chunk })
+      res.on('end', () => done(null, text))
+    })
+    assert.strict.equal(res.status, 200)
+    assert.strict.equal(res.body, '{"title":"T')
+  })
+
+  it('should send a truncated body', async () => {
+    const api = express()
+    registerHttpCall(samplest({ truncate: { probability: 1 } }), api)
+    const server = api.listen(0, '127.0.0.1')
+    await new Promise(resolve => server.once('listening', resolve))
+
+    // NOTE: only some versions of Node.js emit an error for aborted responses
+    try {
+      const { port } = server.address()
+      const [length, received] = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${port}/books`, (res) => {
+          let size = 0
+          res.on('data', chunk => { size += chunk.length })
+          res.on('error', () => {})
+          res.on('close', () => resolve([Number(res.headers['content-length']), size]))
+        }).on('error', reject)
+      })
+      assert.ok(received < length)
+    } finally {
+      server.close()
+    }
+  })
+})
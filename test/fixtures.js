@@ -0,0 +1,176 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const { mkdtempSync, mkdirSync, writeFileSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const {
+  formatOfFile,
+  parseDocument,
+  readDocument,
+  stringifyDocument,
+  resolvePointer,
+  resolveRefs,
+  resolveSamplest
+} = require('../fixtures')
+const { ContentBuilder } = require('../api')
+
+describe('Resolve references to fixtures', () => {
+  const base = mkdtempSync(join(tmpdir(), 'samplest-'))
+  const write = (file, content) => writeFileSync(join(base, file), JSON.stringify(content))
+
+  mkdirSync(join(base, 'fixtures'))
+  write('fixtures/product.json', {
+    item: { id: '{route.id}', name: '{{commerce.productName}}', vendor: { $ref: 'vendor.json' } },
+    'a/b': { '~c': 42 }
+  })
+  write('fixtures/vendor.json', { name: 'ACME', country: { $ref: '#/country' } })
+  write('fixtures/cycle-a.json', { next: { $ref: 'cycle-b.json' } })
+  write('fixtures/cycle-b.json', { next: { $ref: 'cycle-a.json#/next' } })
+
+  it('should get nodes by JSON pointer', () => {
+    const doc = { items: [{ name: 'a' }], 'a/b': { '~c': 1 } }
+    assert.strict.deepEqual(resolvePointer(doc, ''), doc)
+    assert.strict.equal(resolvePointer(doc, '/items/0/name'), 'a')
+    assert.strict.equal(resolvePointer(doc, '/a~1b/~0c'), 1)
+    assert.throws(() => resolvePointer(doc, '/items/1'))
+    assert.throws(() => resolvePointer(doc, 'items'))
+  })
+
+  it('should fail on missing files, nodes and cycles', () => {
+    const file = join(base, 'samplest.json')
+    assert.throws(() => resolveRefs({ $ref: './fixtures/missing.json' }, file), /Cannot resolve/)
+    assert.throws(() => resolveRefs({ $ref: './fixtures/product.json#/missing' }, file), /Cannot resolve/)
+    assert.throws(() => resolveRefs({ $ref: './fixtures/vendor.json' }, file), /Circular \$ref/)
+    assert.throws(() => resolveRefs({ $ref: './fixtures/cycle-a.json' }, file), /Circular \$ref/)
+  })
+
+  it('should resolve references relative to the referencing file', () => {
+    write('fixtures/vendor.json', { name: 'ACME', country: { $ref: '#/countries/0' }, countries: ['RO'] })
+    const files = new Set()
+    const value = resolveRefs({
+      list: [{ $ref: './fixtures/product.json#/item' }],
+      escaped: { $ref: './fixtures/product.json#/a~1b/~0c' },
+      literal: { $ref: 42 }
+    }, join(base, 'samplest.json'), { files })
+
+    assert.strict.deepEqual(value, {
+      list: [{
+        id: '{route.id}',
+        name: '{{commerce.productName}}',
+        vendor: { name: 'ACME', country: 'RO', countries: ['RO'] }
+      }],
+      escaped: 42,
+      literal: { $ref: 42 }
+    })
+    assert.strict.deepEqual([...files].sort(), [
+      join(base, 'fixtures/product.json'),
+      join(base, 'fixtures/vendor.json')
+    ])
+  })
+
+  it('should resolve the responses of samplests only', () => {
+    const samplest = {
+      request: { method: 'get', route: '/products/:id', payload: { $ref: 'kept.json' } },
+      response: {
+        code: 200,
+        headers: { $ref: '#/shared/headers' },
+        data: { $ref: './fixtures/product.json#/item' }
+      },
+      except: {
+        'Always fails': {
+          validate: ['false'],
+          response: { code: 410, headers: { $ref: '#/shared/headers' } }
+        }
+      },
+      shared: { headers: { 'X-Version': '2' } }
+    }
+    const [resolved, files] = resolveSamplest(samplest, join(base, 'product.json'))
+
+    assert.strict.deepEqual(resolved.request, samplest.request)
+    assert.strict.deepEqual(resolved.response.headers, { 'X-Version': '2' })
+    assert.strict.deepEqual(resolved.except['Always fails'].response.headers, { 'X-Version': '2' })
+    assert.strict.equal(resolved.response.data.vendor.name, 'ACME')
+    assert.strict.equal(files.size, 2)
+    assert.strict.equal(samplest.response.data.$ref, './fixtures/product.json#/item')
+
+    const cb = new ContentBuilder({ ...resolved, except: undefined })
+    const { content } = cb.generate({ params: { id: '7' } })
+    assert.strict.equal(content.id, '7')
+    assert.ok(content.name.length > 0 && content.name.indexOf('{') === -1)
+  })
+})
+
+describe('Read samplests and fixtures in JSON, JSON5 and YAML', () => {
+  const base = mkdtempSync(join(tmpdir(), 'samplest-'))
+  const samplest = {
+    request: { method: 'get', route: '/books' },
+    response: { code: 200, data: [{ title: 'Line one\nLine two' }] }
+  }
+
+  it('should read the format of the file extension', () => {
+    assert.strict.equal(formatOfFile('a/book.JSON'), 'json')
+    assert.strict.equal(formatOfFile('book.json5'), 'json5')
+    assert.strict.equal(formatOfFile('book.yml'), 'yaml')
+    assert.strict.equal(formatOfFile('book.txt'), null)
+
+    for (const format of ['json', 'json5', 'yaml']) {
+      const file = join(base, `book.${format}`)
+      writeFileSync(file, stringifyDocument(samplest, format))
+      assert.strict.deepEqual(readDocument(file), samplest, format)
+    }
+  })
+
+  it('should read comments and multi-line text', () => {
+    const yaml = join(base, 'comments.yaml')
+    writeFileSync(yaml, [
+      '# Books',
+      'request: { method: get, route: /books }',
+      'response:',
+      '  code: 200',
+      '  data:',
+      '    - title: |-',
+      '        Line one',
+      '        Line two'
+    ].join('\n'))
+    assert.strict.deepEqual(readDocument(yaml), samplest)
+
+    const json5 = join(base, 'comments.json5')
+    writeFileSync(json5, `{
+      // Books
+      request: { method: 'get', route: '/books' },
+      response: { code: 200, data: [{ title: 'Line one\\nLine two' }], },
+    }`)
+    assert.strict.deepEqual(readDocument(json5), samplest)
+  })
+
+  it('should report syntax errors with file, line and column', () => {
+    assert.throws(() => parseDocument('{\n  "a": 1,\n  "b" 2\n}', 'json', 'book.json'),
+      /^Error: book\.json:3:7: /)
+    assert.throws(() => parseDocument('{"a":', 'json', 'book.json'),
+      /^Error: book\.json:1:6: /)
+    assert.throws(() => parseDocument('{\n  a: 1,\n  b 2\n}', 'json5', 'book.json5'),
+      /^Error: book\.json5:3:5: /)
+    assert.throws(() => parseDocument('a: 1\n  b: 2\n', 'yaml', 'book.yaml'),
+      /^Error: book\.yaml:2:4: bad indentation/)
+  })
+})
@@ -0,0 +1,126 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+const { mkdtempSync, writeFileSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const { ResponseHandler } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+const { formatOf, negotiateFormat, toXml, toCsv } = require('../format')
+
+describe('Serialize response bodies in other formats', () => {
+  it('should derive the format from the content type', () => {
+    assert.strict.equal(formatOf('application/json; charset=utf-8'), 'json')
+    assert.strict.equal(formatOf('application/vnd.api+json'), 'json')
+    assert.strict.equal(formatOf('text/xml'), 'xml')
+    assert.strict.equal(formatOf('text/csv'), 'csv')
+    assert.strict.equal(formatOf('text/html'), 'html')
+    assert.strict.equal(formatOf('text/markdown'), 'text')
+    assert.strict.equal(formatOf('image/png'), null)
+
+    assert.strict.equal(new ResponseHandler({ code: 200 }).format, 'json')
+    assert.strict.equal(new ResponseHandler({ code: 200, headers: { 'Content-Type': 'text/plain' } }).format, 'text')
+    assert.strict.equal(new ResponseHandler({ code: 200, file: 'a.pdf' }).format, 'file')
+  })
+
+  it('should fail if format or file are invalid', () => {
+    for (const response of [{ format: 'yaml' }, { format: [] }, { format: 'file' },
+      { format: 'json', file: 'a.pdf' }, { file: '/etc/passwd' }, { file: 42 }]) {
+      assert.throws(() => {
+        new ResponseHandler({ code: 200, ...response })
+      }, JSON.stringify(response))
+    }
+  })
+
+  it('should negotiate the format with the Accept header', () => {
+    assert.strict.equal(negotiateFormat('application/xml', ['json', 'xml']), 'xml')
+    assert.strict.equal(negotiateFormat('*/*', ['json', 'xml']), 'json')
+    assert.strict.equal(negotiateFormat('text/*;q=0.5, application/json;q=0.4', ['json', 'csv']), 'csv')
+    assert.strict.equal(negotiateFormat('image/png', ['csv', 'json']), 'csv')
+    assert.strict.equal(negotiateFormat(undefined, ['xml', 'json']), 'xml')
+  })
+
+  it('should build XML from the data tree', () => {
+    assert.strict.equal(toXml({ book: { '@id': 1, title: 'Tom & Jerry', tags: ['a', 'b'], notes: null } }),
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<book id="1"><title>Tom &amp; Jerry</title><tags>a</tags><tags>b</tags><notes/></book>')
+    assert.strict.equal(toXml([{ id: 1 }, { id: 2 }]),
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<response><item><id>1</id></item><item><id>2</id></item></response>')
+  })
+
+  it('should build CSV from a list of objects', () => {
+    assert.strict.equal(toCsv([{ id: 1, name: 'Smith, John' }, { id: 2, quote: 'say "hi"' }]),
+      'id,name,quote\r\n1,"Smith, John",\r\n2,,"say ""hi"""\r\n')
+    assert.strict.equal(toCsv([['a', 'b'], [1, 2]]), 'a,b\r\n1,2\r\n')
+  })
+
+  it('should send text, XML and CSV bodies over HTTP', async () => {
+    const api = express()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/hello/:name', method: 'get' },
+      response: { code: 200, headers: { 'Content-Type': 'text/plain' }, data: 'Hello, {route.name}!' }
+    }), api)
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/books', method: 'get' },
+      response: { code: 200, data: [{ id: '1', title: 'Dune' }], format: ['json', 'xml', 'csv'] }
+    }), api)
+
+    const text = await request(api).get('/hello/world')
+    assert.strict.equal(text.headers['content-type'], 'text/plain; charset=utf-8')
+    assert.strict.equal(text.text, 'Hello, world!')
+
+    const json = await request(api).get('/books')
+    assert.strict.deepEqual(json.body, [{ id: '1', title: 'Dune' }])
+
+    const xml = await request(api).get('/books').set('Accept', 'application/xml')
+    assert.ok(xml.headers['content-type'].startsWith('application/xml'))
+    assert.ok(xml.text.endsWith('<response><item><id>1</id><title>Dune</title></item></response>'))
+
+    const csv = await request(api).get('/books').set('Accept', 'text/csv')
+    assert.strict.equal(csv.text, 'id,title\r\n1,Dune\r\n')
+  })
+
+  it('should stream files relative to the samplest', async () => {
+    const base = mkdtempSync(join(tmpdir(), 'samplest-'))
+    writeFileSync(join(base, 'report-7.pdf'), Buffer.from([0x25, 0x50, 0x44, 0x46]))
+
+    const api = express()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/reports/:id', method: 'get' },
+      response: { code: 200, file: 'report-{route.id}.pdf' }
+    }, { base }), api)
+
+    const res = await request(api).get('/reports/7').buffer(true)
+    assert.strict.equal(res.status, 200)
+    assert.strict.equal(res.headers['content-type'], 'application/pdf')
+    assert.strict.deepEqual(res.body, Buffer.from('%PDF'))
+
+    const missing = await request(api).get('/reports/8')
+    assert.strict.equal(missing.status, 404)
+
+    const outside = await request(api).get('/reports/..%2F..%2Fetc%2Fpasswd')
+    assert.notStrictEqual(outside.status, 200)
+  })
+})
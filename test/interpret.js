@@ -20,7 +20,7 @@
 
 const assert = require('assert')
 
-const { interpret } = require('../lib')
+const { interpret, parsePlaceholder, ResponseHandler } = require('../lib')
 
 describe('Interpret a given string to generate content from context', () => {
   const context = {
@@ -89,3 +89,45 @@ describe('Interpret case insensitive placeholders to generate content', () => {
     assert.strict.equal(interpret('{samplest}', context, false), context.samplest)
   })
 })
+
+describe('Interpret placeholders with filters', () => {
+  const context = {
+    time: '1596377876000',
+    route: { id: '42' },
+    query: {},
+    payload: { name: ' Frodo ', email: ' Frodo@Shire.ME ', tags: ['hobbit', 'ring'], age: 'fifty' }
+  }
+
+  it('should transform values with filters', () => {
+    assert.strict.equal(interpret('{payload.name|trim|upper}', context), 'FRODO')
+    assert.strict.equal(interpret('{payload.email|lower|trim}', context), 'frodo@shire.me')
+    assert.strict.equal(interpret('Tags: {payload.tags|join:, }', context), 'Tags: hobbit, ring')
+    assert.strict.equal(interpret('{payload.tags|join}', context), 'hobbit,ring')
+    assert.strict.equal(interpret('{payload.tags|json}', context), '["hobbit","ring"]')
+    assert.strict.equal(interpret('{time|date:iso}', context), '2020-08-02T14:17:56.000Z')
+    assert.strict.equal(interpret('{time|date:date} at {time|date:time}', context), '2020-08-02 at 14:17:56')
+    assert.strict.equal(interpret('{time|date:unix}', context), 1596377876)
+    assert.strict.equal(interpret('{payload.age|int}', context), '<"fifty" is not a number>')
+  })
+
+  it('should keep the type of a single placeholder with filters', () => {
+    assert.strict.equal(interpret('{route.id|int}', context), 42)
+    assert.strict.equal(interpret('Book {route.id|int}', context), 'Book 42')
+    assert.strict.equal(interpret('{route.id}', context), '42')
+  })
+
+  it('should handle missing values explicitly with defaults', () => {
+    assert.strict.equal(interpret('{query.limit|default:10}', context), '10')
+    assert.strict.equal(interpret('{query.limit|default:10|int}', context), 10)
+    assert.strict.equal(interpret('[{query.q|default:}]', context), '[]')
+    assert.strict.equal(interpret('{query.q|upper}', context), '{query.q|upper}')
+    assert.strict.equal(interpret('{route.id|default:1}', context), '42')
+  })
+
+  it('should reject unsupported filters', () => {
+    assert.throws(() => parsePlaceholder('payload.name|shout'), /Unsupported filter "shout"/)
+    assert.throws(() => parsePlaceholder('time|date:rfc'), /Unsupported date format "rfc"/)
+    assert.throws(() => new ResponseHandler({ code: 200, headers: { 'X-Name': '{payload.name|shout}' } }), /shout/)
+    assert.strict.equal(interpret('{payload.name|shout}', context), '{payload.name|shout}')
+  })
+})
@@ -0,0 +1,137 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const bodyParser = require('body-parser')
+const request = require('supertest')
+
+const { ContentBuilder, RouteRegistry } = require('../api')
+const { ADMIN_PATH, adminRouter } = require('../admin')
+const { RequestJournal } = require('../journal')
+
+describe('Keep a journal of requests and verify calls', () => {
+  const journal = new RequestJournal(3)
+  const registry = new RouteRegistry(null, { journal })
+  const api = express()
+  api.use(bodyParser.json())
+  api.use(ADMIN_PATH, adminRouter(registry, { version: '1.2.3' }))
+  api.use(registry.middleware())
+
+  registry.set('create.json', new ContentBuilder({
+    request: { method: 'post', route: '/api/v1/book' },
+    response: { code: 201, data: { title: '{payload.title}' } },
+    except: {
+      'Title is required': {
+        expect: { 'payload.title': { exists: true } },
+        response: { code: 400, data: { error: 'Missing title' } }
+      }
+    }
+  }))
+  registry.set('draft.json', new ContentBuilder({
+    request: {
+      method: 'post',
+      route: '/api/v1/draft',
+      query: { draft: '1' },
+      headers: { 'X-Author': 'anonymous' },
+      payload: { title: 'Untitled' }
+    },
+    response: { code: 201, data: { title: '{payload.title}' } }
+  }))
+  registry.set('read.json', new ContentBuilder({
+    request: { method: 'get', route: '/api/v1/book/:book' },
+    response: { code: 200 }
+  }))
+
+  it('should validate the limit, queries and call counts', () => {
+    assert.throws(() => new RequestJournal(-1), /positive integer/)
+    assert.throws(() => journal.find({ where: { 'payload.title': { contains: 'a' } } }), /Unsupported operator/)
+    assert.throws(() => journal.verify({}, { times: 1.5 }), /"times" must be a positive integer/)
+  })
+
+  it('should record the request, route, flow and status of each request', async () => {
+    journal.reset()
+    await request(api).post('/api/v1/book?draft=1').send({ title: 'Dune' }).expect(201)
+    await request(api).post('/api/v1/book').send({}).expect(400)
+    await request(api).get('/api/v1/book/42').expect(200)
+
+    assert.strict.deepEqual(journal.entries.map(e => [e.id, e.source, e.method, e.path, e.route, e.flow, e.code]), [
+      [1, 'create.json', 'POST', '/api/v1/book', '/api/v1/book', 'Happy path', 201],
+      [2, 'create.json', 'POST', '/api/v1/book', '/api/v1/book', 'Title is required', 400],
+      [3, 'read.json', 'GET', '/api/v1/book/42', '/api/v1/book/:book', 'Happy path', 200]
+    ])
+    assert.strict.deepEqual(journal.entries[0].request.query, { draft: '1' })
+    assert.strict.deepEqual(journal.entries[2].request.route, { book: '42' })
+
+    // The oldest entries are dropped
+    await request(api).get('/api/v1/book/7').expect(200)
+    assert.strict.deepEqual(journal.entries.map(e => e.id), [2, 3, 4])
+  })
+
+  it('should query and verify calls programmatically', async () => {
+    journal.reset()
+    await request(api).post('/api/v1/book').send({ title: 'Dune' }).expect(201)
+    await request(api).post('/api/v1/book').send({ title: 'Emma' }).expect(201)
+
+    const dune = { method: 'post', route: '/api/v1/book', where: { 'payload.title': 'Dune' } }
+    assert.strict.equal(journal.find(dune).length, 1)
+    assert.strict.equal(journal.verify(dune, { times: 1 }).verified, true)
+    assert.strict.deepEqual(journal.verify({ code: '201' }, { atMost: 1 }), {
+      verified: false,
+      count: 2,
+      message: 'Expected at most 1 matching call(s), found 2',
+      entries: journal.entries
+    })
+    assert.strict.equal(journal.verify({ path: '/api/v1/book/1' }).message, 'Expected at least 1 matching call(s), found 0')
+  })
+
+  it('should verify the defaults declared by samplests as except cases do', async () => {
+    journal.reset()
+    const { body } = await request(api).post('/api/v1/draft?lang=en').send({}).expect(201)
+    assert.strict.deepEqual(body, { title: 'Untitled' })
+
+    assert.strict.deepEqual(journal.entries[0].request.payload, {})
+    assert.strict.deepEqual(journal.entries[0].context.payload, { title: 'Untitled' })
+    assert.strict.deepEqual(journal.entries[0].context.query, { lang: 'en', draft: '1' })
+    assert.ok(/^\d+$/.test(journal.entries[0].context.time))
+    assert.strict.equal(journal.verify({ where: { 'payload.title': 'Untitled' } }, { times: 1 }).verified, true)
+    assert.strict.equal(journal.verify({ where: { 'headers.X-Author': 'anonymous' } }, { times: 1 }).verified, true)
+    assert.strict.equal(journal.verify({ where: { 'query.draft': { gte: 1 } } }, { times: 1 }).verified, true)
+  })
+
+  it('should query, verify and reset the journal over HTTP', async () => {
+    journal.reset()
+    await request(api).post('/api/v1/book').send({ title: 'Dune' }).expect(201)
+    await request(api).get('/api/v1/book/42').expect(200)
+
+    const { body: entries } = await request(api).get(`${ADMIN_PATH}/journal`)
+      .query({ method: 'GET', where: JSON.stringify({ 'route.book': '42' }) }).expect(200)
+    assert.strict.deepEqual(entries.map(e => e.path), ['/api/v1/book/42'])
+    await request(api).get(`${ADMIN_PATH}/journal`).query({ where: '{' }).expect(400)
+
+    const { body: verification } = await request(api).post(`${ADMIN_PATH}/journal/verify`)
+      .send({ method: 'POST', route: '/api/v1/book', where: { 'payload.title': 'Dune' }, times: 1 }).expect(200)
+    assert.strict.equal(verification.verified, true)
+    assert.strict.equal(verification.message, 'Expected exactly 1 matching call(s), found 1')
+
+    await request(api).delete(`${ADMIN_PATH}/journal`).expect(200, { removed: 2 })
+    assert.strict.equal(journal.size, 0)
+  })
+})
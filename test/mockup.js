@@ -0,0 +1,109 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const Faker = require('faker')
+
+const { ResponseHandler } = require('../lib')
+const { ContentBuilder } = require('../api')
+const {
+  validateLocale,
+  negotiateLocale,
+  withLocale,
+  validateMockups,
+  fakeContent,
+  generatorArguments
+} = require('../mockup')
+const { checkSamplest } = require('../check')
+
+describe('Generate mockup placeholders with arguments and locales', () => {
+  it('should pass JSON arguments to the generators', () => {
+    for (let i = 0; i < 20; i++) {
+      const number = Number(fakeContent('{{random.number({"min": 1, "max": 9})}}'))
+      assert.ok(number >= 1 && number <= 9)
+    }
+    assert.strict.equal(fakeContent('{{lorem.words(3)}}').split(' ').length, 3)
+    assert.ok(['a)', 'b}}'].indexOf(fakeContent('{{random.arrayElement(["a)", "b}}"])}}')) !== -1)
+    assert.ok(/^Name: \S+$/.test(fakeContent('Name: {{ name.firstName }}')))
+    assert.strict.equal(fakeContent('{not.mockup} {{}}'), '{not.mockup} {{}}')
+
+    assert.throws(() => fakeContent('{{random.nothing}}'), /Unsupported mockup placeholder/)
+    assert.throws(() => fakeContent('{{random.number(min: 1)}}'), /must be JSON values/)
+  })
+
+  it('should negotiate locales with the Accept-Language header', () => {
+    assert.strict.equal(negotiateLocale('de-CH,de;q=0.9,en;q=0.8'), 'de_CH')
+    assert.strict.equal(negotiateLocale('xx, fr-BE;q=0.5'), 'fr')
+    assert.strict.equal(negotiateLocale('pt-br'), 'pt_BR')
+    assert.strict.equal(negotiateLocale('xx;q=1, de;q=0'), 'en')
+    assert.strict.equal(negotiateLocale(undefined, 'it'), 'it')
+
+    assert.strict.equal(validateLocale('de'), 'de')
+    assert.strict.equal(validateLocale('auto'), 'auto')
+    assert.throws(() => validateLocale('klingon'), /Unsupported locale: klingon/)
+  })
+
+  it('should generate content in the locale of the samplest or of the request', () => {
+    const request = { method: 'get', route: '/country' }
+    const response = { code: 200, data: '{{address.country}}' }
+    const countries = (locale) => withLocale(locale, () => Faker.definitions.address.country)
+    const countryOf = (builder, headers = {}) => builder.generate({ params: {}, query: {}, headers, body: {} }).content
+
+    const german = new ContentBuilder({ request, response, locale: 'de' }, { locale: 'fr' })
+    assert.ok(countries('de').indexOf(countryOf(german)) !== -1)
+    const french = new ContentBuilder({ request, response }, { locale: 'fr' })
+    assert.ok(countries('fr').indexOf(countryOf(french)) !== -1)
+    const auto = new ContentBuilder({ request, response }, { locale: 'auto' })
+    assert.ok(countries('it').indexOf(countryOf(auto, { 'accept-language': 'it-IT,en;q=0.5' })) !== -1)
+    assert.strict.equal(Faker.locale, 'en')
+
+    assert.throws(() => new ContentBuilder({ request, response, locale: 'xx' }), /Unsupported locale/)
+    assert.strict.deepEqual(checkSamplest({ request, response, locale: 'xx' }).map(e => e.path), ['locale'])
+  })
+
+  it('should validate mockup placeholders when samplests are loaded', () => {
+    const request = { method: 'get', route: '/books' }
+    const valid = { code: 200, headers: { 'X-Id': '{{random.uuid}}' }, data: ['{{random.number({"min": 1})}}'] }
+    assert.doesNotThrow(() => new ResponseHandler(valid))
+    assert.strict.equal(validateMockups('{{lorem.words(3)}}'), '{{lorem.words(3)}}')
+
+    assert.throws(() => new ResponseHandler({ code: 200, data: { id: '{{random.nothing}}' } }),
+      /Unsupported mockup placeholder \{\{random\.nothing\}\}/)
+    assert.throws(() => new ResponseHandler({ code: 200, headers: { 'X-Id': '{{random.number(min: 1)}}' } }),
+      /must be JSON values/)
+    assert.throws(() => new ContentBuilder({
+      request,
+      response: { code: 200 },
+      except: { Never: { expect: { 'query.id': 1 }, response: { code: 400, data: '{{nothing.here}}' } } }
+    }), /Unsupported mockup placeholder/)
+
+    assert.strict.deepEqual(checkSamplest({ request, response: { code: 200, data: ['{{lorem.nothing}}'] } }), [{
+      path: 'response.data',
+      level: 'error',
+      message: 'Unsupported mockup placeholder {{lorem.nothing}}'
+    }])
+  })
+  it('should list the arguments of the generators', () => {
+    assert.strict.deepEqual(generatorArguments('random').number, ['options: {min, max, precision}'])
+    assert.strict.deepEqual(generatorArguments('date').between, ['from', 'to'])
+    assert.strict.deepEqual(generatorArguments('phone').phoneNumber, ['format'])
+    assert.strict.deepEqual(generatorArguments('unknown'), {})
+  })
+})
@@ -0,0 +1,314 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+
+const {
+  parseOpenApi,
+  importOpenApi,
+  exportOpenApi,
+  stringifyOpenApi
+} = require('../openapi')
+const { ContentBuilder } = require('../api')
+
+describe('Import OpenAPI 3 documents as samplests', () => {
+  const yaml = `
+openapi: 3.0.3
+info:
+  title: Books
+  version: '1.0'
+paths:
+  /books/{book}:
+    parameters:
+      - name: book
+        in: path
+        required: true
+        schema:
+          type: integer
+    get:
+      operationId: readBook
+      parameters:
+        - name: lang
+          in: query
+          example: en
+        - name: X-Secret
+          in: header
+          schema:
+            type: string
+      responses:
+        '200':
+          description: The book
+          content:
+            application/json:
+              schema:
+                $ref: '#/components/schemas/Book'
+        '404':
+          description: Book not found
+          content:
+            application/json:
+              example:
+                error: not found
+  /books:
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: '#/components/schemas/Book'
+      responses:
+        '201':
+          description: Created
+          content:
+            application/json:
+              example:
+                saved: true
+components:
+  schemas:
+    Book:
+      type: object
+      properties:
+        id:
+          type: integer
+        title:
+          type: string
+        contact:
+          type: string
+          format: email
+        ebook:
+          type: boolean
+`
+
+  it('should fail for documents other than OpenAPI 3', () => {
+    assert.throws(() => parseOpenApi('swagger: "2.0"'))
+    assert.throws(() => parseOpenApi('{}'))
+  })
+
+  it('should write one samplest per operation', () => {
+    const samplests = importOpenApi(parseOpenApi(yaml))
+
+    assert.strict.deepEqual(samplests.map(([name]) => name), ['readBook', 'post-books'])
+    for (const [, samplest] of samplests) {
+      assert.doesNotThrow(() => new ContentBuilder(samplest))
+    }
+  })
+
+  it('should name samplests after operation ids safe for file names', () => {
+    const doc = parseOpenApi(JSON.stringify({
+      openapi: '3.0.3',
+      paths: {
+        '/a': { get: { operationId: '../../etc/passwd' }, post: { operationId: 'read/books' } },
+        '/b': { get: { operationId: 'read books' }, post: { operationId: '..' } }
+      }
+    }))
+
+    assert.strict.deepEqual(importOpenApi(doc).map(([name]) => name), [
+      'etc-passwd',
+      'read-books',
+      'read-books-2',
+      'post-b'
+    ])
+  })
+
+  it('should key except cases by status code', () => {
+    const doc = parseOpenApi(JSON.stringify({
+      openapi: '3.0.3',
+      paths: {
+        '/books': {
+          get: {
+            responses: {
+              200: { description: 'Books' },
+              400: { description: 'Error' },
+              500: { description: 'Error' }
+            }
+          }
+        }
+      }
+    }))
+    const [[, samplest]] = importOpenApi(doc)
+
+    assert.strict.deepEqual(Object.keys(samplest.except), ['400 Error', '500 Error'])
+    assert.strict.equal(samplest.except['500 Error'].response.code, 500)
+  })
+
+  it('should not import any operation if one is invalid', () => {
+    const doc = parseOpenApi(JSON.stringify({
+      openapi: '3.0.3',
+      paths: {
+        '/books': {
+          get: {
+            responses: { 200: { description: 'Books' } }
+          },
+          post: {
+            responses: {
+              201: {
+                description: 'Book',
+                content: { 'application/json': { example: { id: '{{nothing.here}}' } } }
+              }
+            }
+          }
+        }
+      }
+    }))
+
+    assert.throws(() => importOpenApi(doc),
+      /^Error: Cannot import POST \/books, response\.data: Unsupported mockup placeholder \{\{nothing\.here\}\}$/)
+  })
+
+  it('should build requests from parameters and request bodies', () => {
+    const [[, read], [, create]] = importOpenApi(parseOpenApi(yaml))
+
+    assert.strict.deepEqual(read.request, {
+      route: '/books/:book',
+      method: 'get',
+      query: { lang: 'en' },
+      headers: { 'X-Secret': 'string' }
+    })
+    assert.strict.deepEqual(create.request.payload, {
+      id: 0,
+      title: 'string',
+      contact: 'string',
+      ebook: false
+    })
+  })
+
+  it('should build responses from schemas, examples and except cases', () => {
+    const [[, read], [, create]] = importOpenApi(parseOpenApi(yaml))
+
+    assert.strict.deepEqual(read.response, {
+      code: 200,
+      data: {
+        id: '{{random.number}}',
+        title: '{{lorem.word}}',
+        contact: '{{internet.email}}',
+        ebook: '{{random.boolean}}'
+      },
+      $data: {
+        cast: { id: 'number', ebook: 'boolean' }
+      }
+    })
+    assert.strict.deepEqual(read.except['404 Book not found'].response, {
+      code: 404,
+      data: { error: 'not found' }
+    })
+    assert.strict.deepEqual(create.response, { code: 201, data: { saved: true } })
+  })
+
+  it('should answer except cases on demand', () => {
+    const [[, read]] = importOpenApi(parseOpenApi(yaml))
+    const cb = new ContentBuilder(read)
+
+    const happy = cb.generate({ params: { book: '1' }, headers: {} })
+    assert.strict.equal(happy.code, 200)
+    assert.strict.equal(typeof happy.content.id, 'number')
+
+    const except = cb.generate({ params: { book: '1' }, headers: { 'x-samplest-except': '404' } })
+    assert.strict.equal(except.code, 404)
+  })
+})
+
+describe('Export samplests as an OpenAPI 3 document', () => {
+  const samplest = {
+    request: {
+      route: '/books/:book',
+      method: 'put',
+      query: { lang: 'en' },
+      headers: { 'X-Secret': 'token', 'Content-Type': 'application/json' },
+      payload: { title: 'The hobbit', pages: 310 }
+    },
+    response: {
+      code: 200,
+      headers: { 'X-Request-Id': '{{random.uuid}}' },
+      data: [
+        {
+          id: '{route.book}',
+          contact: '{{internet.email}}',
+          ebook: 'true'
+        }
+      ],
+      $data: {
+        repeat: '1..5',
+        cast: { '*.id': 'number', '*.ebook': 'boolean' }
+      }
+    },
+    except: {
+      'Book must exist': {
+        validate: ['route.book !== "0"'],
+        response: { code: 404, data: 'not found' }
+      },
+      'Book must be public': {
+        validate: ['route.book !== "1"'],
+        response: { code: 404, data: 'not found' }
+      }
+    }
+  }
+
+  it('should describe each samplest as a path operation', () => {
+    const doc = exportOpenApi([['update-book', samplest]], { title: 'Books', version: '1.0.0' })
+    const operation = doc.paths['/books/{book}'].put
+
+    assert.strict.equal(doc.openapi, '3.0.3')
+    assert.strict.equal(operation.operationId, 'update-book')
+    assert.strict.deepEqual(operation.parameters, [
+      { name: 'book', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'lang', in: 'query', schema: { type: 'string', example: 'en' }, example: 'en' },
+      { name: 'x-secret', in: 'header', schema: { type: 'string', example: 'token' }, example: 'token' }
+    ])
+    assert.strict.deepEqual(operation.requestBody.content['application/json'].schema, {
+      type: 'object',
+      properties: {
+        title: { type: 'string', example: 'The hobbit' },
+        pages: { type: 'integer', example: 310 }
+      }
+    })
+  })
+
+  it('should infer response schemas and document except cases', () => {
+    const doc = exportOpenApi([['update-book', samplest]], { title: 'Books', version: '1.0.0' })
+    const { responses } = doc.paths['/books/{book}'].put
+
+    assert.strict.deepEqual(Object.keys(responses), ['200', '404'])
+    assert.strict.deepEqual(responses['200'].headers, {
+      'x-request-id': { schema: { type: 'string', format: 'uuid' } }
+    })
+    assert.strict.deepEqual(responses['200'].content['application/json'].schema, {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'number' },
+          contact: { type: 'string', format: 'email' },
+          ebook: { type: 'boolean' }
+        }
+      }
+    })
+    assert.strict.equal(responses['404'].description, 'Book must exist; Book must be public')
+  })
+
+  it('should be imported back as equivalent samplests', () => {
+    const doc = exportOpenApi([['update-book', samplest]], { title: 'Books', version: '1.0.0' })
+    const text = stringifyOpenApi(doc, true)
+    const [[name, imported]] = importOpenApi(parseOpenApi(text))
+
+    assert.strict.equal(name, 'update-book')
+    assert.strict.equal(imported.request.route, samplest.request.route)
+    assert.strict.deepEqual(imported.request.payload, samplest.request.payload)
+    assert.strict.deepEqual(Object.keys(imported.except), ['404 Book must exist; Book must be public'])
+  })
+})
@@ -0,0 +1,138 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ResponseHandler, paginateWindow } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+
+describe('Paginate a virtual collection', () => {
+  const response = {
+    code: 200,
+    data: [{ id: '{item.position}', name: '{{name.firstName}}' }],
+    $data: {
+      cast: { '*.id': 'number' },
+      paginate: { total: 25, size: 10 }
+    }
+  }
+
+  it('should fail if paginate options are invalid', () => {
+    for (const paginate of [true, { size: 5 }, { total: -1 }, { total: 10, size: 0 },
+      { total: 10, size: 50, max: 20 }, { total: 10, envelope: '' },
+      { total: 10, params: { cursor: 'after' } }, { total: 10, params: { page: 1 } }]) {
+      assert.throws(() => {
+        new ResponseHandler({ code: 200, data: [{}], $data: { paginate } })
+      }, JSON.stringify(paginate))
+    }
+
+    assert.throws(() => {
+      new ResponseHandler({ code: 200, data: {}, $data: { paginate: { total: 10 } } })
+    })
+    assert.throws(() => {
+      new ResponseHandler({ code: 200, data: [{}], $data: { repeat: '5', paginate: { total: 10 } } })
+    })
+  })
+
+  it('should read the window from the query string', () => {
+    const { $data: { paginate } } = new ResponseHandler({
+      code: 200,
+      data: [{}],
+      $data: { paginate: { total: 100, params: { per_page: 'size' } } }
+    })
+
+    assert.strict.deepEqual(paginateWindow({}, paginate),
+      { offset: 0, limit: 20, page: 1, style: 'page' })
+    assert.strict.deepEqual(paginateWindow({ page: '3', size: '5' }, paginate),
+      { offset: 10, limit: 5, page: 3, style: 'page' })
+    assert.strict.deepEqual(paginateWindow({ page: 'x', size: '500' }, paginate),
+      { offset: 0, limit: 100, page: 1, style: 'page' })
+    assert.strict.deepEqual(paginateWindow({ page: '2', offset: '30', limit: '15' }, paginate),
+      { offset: 30, limit: 15, page: 3, style: 'offset' })
+  })
+
+  it('should serve stable pages with headers', async () => {
+    const api = express()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/users', method: 'get' },
+      response
+    }), api)
+
+    const first = await request(api).get('/users?page=2&sort=name')
+    assert.strict.equal(first.status, 200)
+    assert.strict.equal(first.headers['x-total-count'], '25')
+    assert.strict.deepEqual(first.body.map(e => e.id), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20])
+    assert.strict.equal(first.headers.link, [
+      '</users?sort=name&page=1&per_page=10>; rel="first"',
+      '</users?sort=name&page=1&per_page=10>; rel="prev"',
+      '</users?sort=name&page=3&per_page=10>; rel="next"',
+      '</users?sort=name&page=3&per_page=10>; rel="last"'
+    ].join(', '))
+
+    const again = await request(api).get('/users?offset=10&limit=10')
+    assert.strict.deepEqual(again.body, first.body)
+    assert.ok(again.headers.link.indexOf('</users?offset=20&limit=10>; rel="next"') > -1)
+
+    const last = await request(api).get('/users?page=3')
+    assert.strict.deepEqual(last.body.map(e => e.id), [21, 22, 23, 24, 25])
+    assert.ok(last.headers.link.indexOf('rel="next"') === -1)
+
+    const beyond = await request(api).get('/users?page=4')
+    assert.strict.deepEqual(beyond.body, [])
+  })
+
+  it('should link pages under the mount path', async () => {
+    const api = express()
+    const router = express.Router()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/users', method: 'get' },
+      response
+    }), router)
+    api.use('/api/v1', router)
+
+    const { headers } = await request(api).get('/api/v1/users?page=2')
+    assert.ok(headers.link.indexOf('</api/v1/users?page=3&per_page=10>; rel="next"') > -1)
+  })
+
+  it('should generate pages from the seed of the request', () => {
+    const cb = new ContentBuilder({ request: { route: '/users', method: 'get' }, response })
+    const page = (seed) => cb.generate({ headers: { 'x-samplest-seed': seed } }).content
+
+    assert.strict.deepEqual(page('42'), page('42'))
+    assert.notDeepStrictEqual(page('42'), page('7'))
+  })
+
+  it('should wrap the page in an envelope with totals', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/users', method: 'get' },
+      response: {
+        ...response,
+        $data: { ...response.$data, paginate: { total: 25, envelope: 'users' } }
+      }
+    })
+
+    const { content } = cb.generate({ query: { page: '2', per_page: '20' } })
+    assert.strict.equal(content.users.length, 5)
+    assert.strict.equal(content.total, 25)
+    assert.strict.equal(content.page, 2)
+    assert.strict.equal(content.per_page, 20)
+  })
+})
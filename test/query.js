@@ -0,0 +1,120 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ResponseHandler, queryContent } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+
+describe('Query collections by the query string', () => {
+  const options = { sort: 'sort', search: 'q', fields: 'fields', filter: true }
+  const books = [
+    { id: 1, title: 'The hobbit', price: 20, author: { name: 'Tolkien' }, related: [{ id: 3 }] },
+    { id: 2, title: 'Dune', price: 15, author: { name: 'Herbert' }, related: [] },
+    { id: 3, title: 'The silmarillion', price: 25, author: { name: 'Tolkien' }, related: [{ id: 1 }] },
+    { id: 4, title: 'Emma', author: { name: 'Austen' }, related: [] }
+  ]
+
+  it('should fail if query options are invalid', () => {
+    for (const query of ['yes', { order: 'sort' }, { sort: '' }, { q: 1 }, { filter: 'title' }]) {
+      assert.throws(() => {
+        new ResponseHandler({ code: 200, data: [{}], $data: { query } })
+      }, JSON.stringify(query))
+    }
+
+    assert.throws(() => {
+      new ResponseHandler({ code: 200, data: {}, $data: { query: true } })
+    })
+
+    const { $data } = new ResponseHandler({
+      code: 200,
+      data: [{}],
+      $data: { query: { search: 'text', fields: false } }
+    })
+    assert.strict.deepEqual($data.query, { sort: 'sort', search: 'text', fields: false, filter: true })
+  })
+
+  it('should filter by equality of fields', () => {
+    const ids = (query, opts = options) => queryContent(books, query, opts).map(e => e.id)
+
+    assert.strict.deepEqual(ids({ 'author.name': 'Tolkien' }), [1, 3])
+    assert.strict.deepEqual(ids({ price: ['15', '25'] }), [2, 3])
+    assert.strict.deepEqual(ids({ 'related.*.id': '3' }), [1])
+    assert.strict.deepEqual(ids({ unknown: 'ignored', title: 'Dune' }), [2])
+    assert.strict.deepEqual(ids({ id: '2' }, { ...options, filter: ['title'] }), [1, 2, 3, 4])
+    assert.strict.deepEqual(ids({ id: '2' }, { ...options, filter: false }), [1, 2, 3, 4])
+  })
+
+  it('should search text in all fields', () => {
+    const ids = queryContent(books, { q: 'TOLK' }, options).map(e => e.id)
+    assert.strict.deepEqual(ids, [1, 3])
+  })
+
+  it('should sort by many fields in both directions', () => {
+    const ids = (sort) => queryContent(books, { sort }, options).map(e => e.id)
+
+    assert.strict.deepEqual(ids('price'), [2, 1, 3, 4])
+    assert.strict.deepEqual(ids('-price'), [3, 1, 2, 4])
+    assert.strict.deepEqual(ids('author.name,-id'), [4, 2, 3, 1])
+  })
+
+  it('should select sparse fieldsets', () => {
+    const content = queryContent(books.slice(0, 2), { fields: 'id,author.name,related.*.id' }, options)
+    assert.strict.deepEqual(content, [
+      { id: 1, author: { name: 'Tolkien' }, related: [{ id: 3 }] },
+      { id: 2, author: { name: 'Herbert' }, related: [] }
+    ])
+  })
+
+  it('should query the generated collection over HTTP', async () => {
+    const api = express()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/books', method: 'get', query: { lang: 'en' } },
+      response: { code: 200, data: books, $data: { query: true } }
+    }), api)
+
+    const res = await request(api).get('/books?author.name=Tolkien&sort=-price&fields=title')
+    assert.strict.deepEqual(res.body, [{ title: 'The silmarillion' }, { title: 'The hobbit' }])
+
+    const all = await request(api).get('/books')
+    assert.strict.equal(all.body.length, 4)
+  })
+
+  it('should query the virtual collection before pagination', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/items', method: 'get' },
+      response: {
+        code: 200,
+        data: [{ id: '{item.position}', even: 'no' }, { id: '{item.position}', even: 'yes' }],
+        $data: {
+          cast: { '*.id': 'number' },
+          paginate: { total: 20, size: 3 },
+          query: true
+        }
+      }
+    })
+
+    const { headers, content } = cb.generate({ query: { even: 'yes', sort: '-id', page: '2' } })
+    assert.strict.equal(headers['X-Total-Count'], '10')
+    assert.strict.deepEqual(content.map(e => e.id), [14, 12, 10])
+  })
+})
@@ -0,0 +1,182 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const bodyParser = require('body-parser')
+
+const { routeOf, recordSamplest, forwardRequest } = require('../record')
+const { ContentBuilder } = require('../api')
+
+describe('Record samplests from observed traffic', () => {
+  it('should turn numeric path segments into route parameters', () => {
+    assert.strict.equal(routeOf('/api/v1/books'), '/api/v1/books')
+    assert.strict.equal(routeOf('/api/v1/books/42'), '/api/v1/books/:book')
+    assert.strict.equal(routeOf('/books/42/pages/7'), '/books/:book/pages/:page')
+    assert.strict.equal(routeOf('/42/7'), '/:id/:id2')
+  })
+
+  it('should build a valid samplest from a request and a response', () => {
+    const samplest = recordSamplest({
+      method: 'POST',
+      path: '/api/v1/books/42/reviews',
+      query: { lang: 'en', filter: { nested: 'ignored' } },
+      headers: {
+        host: 'localhost:3000',
+        'content-type': 'application/json',
+        'x-secret': 'samplest'
+      },
+      body: Buffer.from('{"stars":5}'),
+      response: {
+        code: 201,
+        headers: {
+          date: 'Sun, 02 Aug 2020 17:17:56 GMT',
+          'content-type': 'application/json; charset=utf-8'
+        },
+        body: Buffer.from('{"id":1,"stars":5}')
+      }
+    })
+
+    assert.strict.deepEqual(samplest, {
+      request: {
+        route: '/api/v1/books/:book/reviews',
+        method: 'post',
+        query: { lang: 'en' },
+        headers: {
+          'content-type': 'application/json',
+          'x-secret': 'samplest'
+        },
+        payload: { stars: 5 }
+      },
+      response: {
+        code: 201,
+        headers: { 'content-type': 'application/json; charset=utf-8' },
+        data: { id: 1, stars: 5 },
+        $data: { cast: { id: 'number', stars: 'number' } }
+      }
+    })
+    assert.doesNotThrow(() => new ContentBuilder(samplest))
+  })
+
+  it('should not record credentials', () => {
+    const { request, response } = recordSamplest({
+      method: 'GET',
+      path: '/me',
+      headers: { authorization: 'Bearer secret', cookie: 'session=secret', 'x-lang': 'en' },
+      response: {
+        code: 200,
+        headers: { 'set-cookie': ['session=secret'], 'x-lang': 'en' }
+      }
+    })
+
+    assert.strict.deepEqual(request.headers, { 'x-lang': 'en' })
+    assert.strict.deepEqual(response.headers, { 'x-lang': 'en' })
+  })
+
+  it('should answer the recorded JSON content with its types', () => {
+    const body = {
+      id: 42,
+      title: 'The hobbit',
+      price: 9.99,
+      ebook: false,
+      tags: ['fantasy', 1937, true],
+      author: { name: 'J. R. R. Tolkien', alive: false },
+      'a.b': 1,
+      sequel: null
+    }
+    const samplest = recordSamplest({
+      method: 'GET',
+      path: '/books/42',
+      response: {
+        code: 200,
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from(JSON.stringify(body))
+      }
+    })
+    const { content } = new ContentBuilder(samplest).generate({ params: { book: '42' } })
+
+    assert.strict.deepEqual(content, { ...body, 'a.b': '1' })
+  })
+
+  it('should share the cast options of array items that agree', () => {
+    const body = {
+      books: [{ id: 1, title: 'The hobbit', ratings: [5, 4] }, { title: 'Dune', id: 2, ratings: [3] }],
+      tags: ['fantasy', 1937, true]
+    }
+    const samplest = recordSamplest({
+      method: 'GET',
+      path: '/books',
+      response: {
+        code: 200,
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from(JSON.stringify(body))
+      }
+    })
+
+    assert.strict.deepEqual(samplest.response.$data.cast, {
+      'books.*.id': 'number',
+      'books.*.ratings.*': 'number',
+      'tags.1': 'number',
+      'tags.2': 'boolean'
+    })
+    assert.strict.deepEqual(new ContentBuilder(samplest).generate({}).content, body)
+  })
+
+  it('should forward requests to the upstream service', async () => {
+    const upstream = express()
+    upstream.use(bodyParser.json())
+    upstream.post('/books', (req, res) => res.status(201).json({ ...req.body, id: 7 }))
+    const server = upstream.listen(0, '127.0.0.1')
+    await new Promise(resolve => server.once('listening', resolve))
+
+    try {
+      const { port } = server.address()
+      const response = await forwardRequest(`http://127.0.0.1:${port}`, {
+        method: 'POST',
+        url: '/books?lang=en',
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from('{"title":"The hobbit"}')
+      })
+
+      assert.strict.equal(response.code, 201)
+      assert.strict.deepEqual(JSON.parse(response.body), { title: 'The hobbit', id: 7 })
+    } finally {
+      server.close()
+    }
+  })
+  it('should forward requests under the path of the upstream', async () => {
+    const upstream = express()
+    upstream.get('/api/books', (req, res) => res.json({ path: req.originalUrl }))
+    const server = upstream.listen(0, '127.0.0.1')
+    await new Promise(resolve => server.once('listening', resolve))
+
+    try {
+      const { port } = server.address()
+      for (const base of [`http://127.0.0.1:${port}/api`, `http://127.0.0.1:${port}/api/`]) {
+        const response = await forwardRequest(base, { method: 'GET', url: '/books?lang=en', headers: {} })
+
+        assert.strict.equal(response.code, 200)
+        assert.strict.deepEqual(JSON.parse(response.body), { path: '/api/books?lang=en' })
+      }
+    } finally {
+      server.close()
+    }
+  })
+})
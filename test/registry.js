@@ -0,0 +1,117 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ContentBuilder, RouteRegistry } = require('../api')
+
+describe('Register, replace and remove samplests on a running API', () => {
+  const samplest = (route, data) => new ContentBuilder({
+    request: { route, method: 'get' },
+    response: { code: 200, data }
+  })
+
+  it('should dispatch requests to registered samplests in order', async () => {
+    const registry = new RouteRegistry()
+    const api = express()
+    api.use(registry.middleware())
+
+    registry.set('first.json', samplest('/books/:book', 'book {route.book}'))
+    registry.set('second.json', samplest('/books/latest', 'latest book'))
+
+    await request(api).get('/books/1').expect(200, JSON.stringify('book 1'))
+    await request(api).get('/books/latest').expect(200, JSON.stringify('book latest'))
+    await request(api).get('/authors').expect(404)
+  })
+
+  it('should replace and remove the routes of a source in place', async () => {
+    const registry = new RouteRegistry()
+    const api = express()
+    api.use(registry.middleware())
+
+    registry.set('book.json', samplest('/books/:book', 'book {route.book}'))
+    await request(api).get('/books/1').expect(200, JSON.stringify('book 1'))
+
+    registry.set('book.json', samplest('/novels/:book', 'novel {route.book}'))
+    assert.strict.equal(registry.size, 1)
+    await request(api).get('/books/1').expect(404)
+    await request(api).get('/novels/1').expect(200, JSON.stringify('novel 1'))
+
+    assert.strict.equal(registry.delete('book.json'), true)
+    assert.strict.equal(registry.has('book.json'), false)
+    await request(api).get('/novels/1').expect(404)
+  })
+
+  it('should notify the callback on each HTTP call', async () => {
+    const calls = []
+    const registry = new RouteRegistry((date, { code }, req) => {
+      calls.push(`${req.method} ${req.originalUrl} ${code}`)
+    })
+    const api = express()
+    api.use(registry.middleware())
+    registry.set('book.json', samplest('/books/:book', 'book {route.book}'))
+
+    await request(api).get('/books/7').expect(200)
+    assert.strict.deepEqual(calls, ['GET /books/7 200'])
+  })
+
+  it('should serve specific routes first with specific precedence', async () => {
+    const registry = new RouteRegistry(null, { precedence: 'specific' })
+    const api = express()
+    api.use(registry.middleware())
+
+    registry.set('first.json', samplest('/books/:book', 'book {route.book}'))
+    registry.set('second.json', samplest('/books/latest', 'latest book'))
+    registry.set('third.json', samplest('/:shelf/:book', 'shelf {route.shelf}'))
+
+    assert.strict.deepEqual(registry.routes.map(e => e.source), ['second.json', 'first.json', 'third.json'])
+    await request(api).get('/books/latest').expect(200, JSON.stringify('latest book'))
+    await request(api).get('/books/1').expect(200, JSON.stringify('book 1'))
+    await request(api).get('/novels/1').expect(200, JSON.stringify('shelf novels'))
+    assert.throws(() => new RouteRegistry(null, { precedence: 'random' }), /Unsupported route precedence/)
+  })
+
+  it('should detect duplicate and shadowed routes', () => {
+    const registry = new RouteRegistry()
+    const route = (method, route) => new ContentBuilder({ request: { route, method }, response: { code: 200 } })
+
+    registry.set('a.json', route('get', '/books/:book'))
+    registry.set('b.json', route('get', '/books/:id/'))
+    registry.set('c.json', route('get', '/books/latest'))
+    registry.set('d.json', route('head', '/Books/latest'))
+    registry.set('e.json', route('post', '/books/latest'))
+    registry.set('f.json', route('get', '/books/*'))
+
+    assert.strict.deepEqual(registry.conflicts(), [
+      { source: 'b.json', request: 'GET /books/:id/', conflict: 'duplicate', by: 'a.json' },
+      { source: 'c.json', request: 'GET /books/latest', conflict: 'shadowed', by: 'a.json' },
+      { source: 'd.json', request: 'HEAD /Books/latest', conflict: 'shadowed', by: 'a.json' }
+    ])
+
+    const specific = new RouteRegistry(null, { precedence: 'specific' })
+    registry.routes.forEach(({ source, builder }) => specific.set(source, builder))
+    assert.strict.deepEqual(specific.conflicts().map(e => [e.source, e.conflict, e.by]), [
+      ['d.json', 'shadowed', 'c.json'],
+      ['b.json', 'duplicate', 'a.json']
+    ])
+  })
+})
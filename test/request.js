@@ -126,3 +126,84 @@ describe('Validate request rules', () => {
     })
   })
 })
+
+describe('Verify incoming requests against the request contract', () => {
+  const rh = new RequestHandler({
+    method: 'post',
+    route: '/books',
+    query: {
+      lang: 'en',
+      tags: ['fantasy']
+    },
+    headers: {
+      'X-Secret': 'token'
+    },
+    payload: {
+      title: 'The hobbit',
+      pages: 310,
+      author: {
+        name: 'J. R. R. Tolkien'
+      },
+      editions: [{ year: 1937 }]
+    }
+  })
+
+  it('should fail if strict is not boolean', () => {
+    assert.throws(() => {
+      new RequestHandler({ method: 'get', route: '/', strict: 'yes' })
+    })
+  })
+
+  it('should validate a single field of a request', () => {
+    assert.strict.equal(RequestHandler.validateField('strict', true), true)
+    assert.throws(() => RequestHandler.validateField('strict', 'yes'), /must be boolean/)
+    assert.throws(() => RequestHandler.validateField('method', 'trace'))
+    assert.throws(() => RequestHandler.validateField('toString', null), /Unknown request field: toString/)
+  })
+
+  it('should report no violations for a conforming request', () => {
+    const violations = rh.verify({
+      query: { lang: 'ro', tags: 'history' },
+      headers: { 'x-secret': 'abc', 'user-agent': 'mocha' },
+      body: {
+        title: 'Silmarillion',
+        pages: 365,
+        author: { name: 'Christopher Tolkien' },
+        editions: [{ year: 1977 }, { year: 1999 }]
+      }
+    })
+
+    assert.strict.deepEqual(violations, [])
+  })
+
+  it('should report every violation with its path', () => {
+    const violations = rh.verify({
+      query: { tags: ['a', 'b'], page: '2' },
+      headers: {},
+      body: {
+        title: 'Silmarillion',
+        pages: '365',
+        author: { name: 'Christopher Tolkien', alive: false },
+        editions: [{ year: 1977 }, { year: '1999' }]
+      }
+    })
+
+    assert.strict.deepEqual(violations, [
+      { path: 'query.lang', message: 'missing required field' },
+      { path: 'query.page', message: 'unknown field' },
+      { path: 'headers.x-secret', message: 'missing required field' },
+      { path: 'payload.pages', message: 'expected number, got string' },
+      { path: 'payload.author.alive', message: 'unknown field' },
+      { path: 'payload.editions[1].year', message: 'expected number, got string' }
+    ])
+  })
+
+  it('should report unexpected payloads if none is declared', () => {
+    const req = new RequestHandler({ method: 'delete', route: '/' })
+
+    assert.strict.deepEqual(req.verify({ body: {} }), [])
+    assert.strict.deepEqual(req.verify({ body: { a: 1 } }), [
+      { path: 'payload.a', message: 'unknown field' }
+    ])
+  })
+})
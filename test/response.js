@@ -73,4 +73,17 @@ describe('Validate response rules', () => {
       new ResponseHandler(responseObject2)
     })
   })
+  it('should validate a single field with the rest of the response', () => {
+    const response = { code: 200, data: ['1', '2'], $data: { repeat: '2..5' } }
+
+    assert.strict.equal(ResponseHandler.validateField('code', 201, response), 201)
+    assert.throws(() => ResponseHandler.validateField('code', 200.5, response), /status code invalid/)
+    assert.strict.deepEqual(ResponseHandler.validateField('cast', { '*': 'number' }, response), { '*': 'number' })
+    assert.throws(() => ResponseHandler.validateField('cast', { '*': 'number' }, { code: 200, data: 'ok' }))
+    assert.throws(() => ResponseHandler.validateField('paginate', { size: 1 }, { code: 200 }))
+    assert.throws(() => ResponseHandler.validateField('format', 'file', response), /requires a file/)
+    assert.strict.equal(ResponseHandler.validateField('format', 'file', { ...response, file: 'books.pdf' }), 'file')
+    assert.throws(() => ResponseHandler.validateField('content', '{{random.nothing}}', response), /Unsupported mockup/)
+    assert.throws(() => ResponseHandler.validateField('weight', 1, response), /Unknown response field: weight/)
+  })
 })
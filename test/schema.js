@@ -0,0 +1,179 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const { mkdtempSync, readdirSync, readFileSync, writeFileSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+const Ajv = require('ajv')
+
+const {
+  SCHEMA,
+  RequestHandler,
+  ResponseHandler,
+  ResponseSelector,
+  FaultHandler,
+  validateCondition
+} = require('../lib')
+const { ContentBuilder } = require('../api')
+const { checkSamplest } = require('../check')
+const { resolveSamplest } = require('../fixtures')
+
+describe('JSON Schema of samplests', () => {
+  const validate = new Ajv().compile(SCHEMA)
+  const examples = join(__dirname, '..', 'examples')
+
+  it('should accept the examples', () => {
+    for (const dir of readdirSync(examples)) {
+      for (const file of readdirSync(join(examples, dir))) {
+        const samplest = JSON.parse(readFileSync(join(examples, dir, file)))
+        assert.ok(validate(samplest), `${dir}/${file}: ${JSON.stringify(validate.errors)}`)
+      }
+    }
+  })
+
+  it('should reject samplests without response or with unknown fields', () => {
+    const request = { method: 'get', route: '/books' }
+    assert.ok(!validate({ request }))
+    assert.ok(!validate({ request, response: { code: 200 }, responses: [{ code: 200 }] }))
+    assert.ok(!validate({ request, response: { code: 200, body: {} } }))
+    assert.ok(!validate({ request: { ...request, method: 'trace' }, response: { code: 200 } }))
+  })
+
+  it('should accept references to fixtures as responses', () => {
+    const base = mkdtempSync(join(tmpdir(), 'samplest-'))
+    writeFileSync(join(base, 'responses.json'), JSON.stringify({
+      ok: { code: 200, data: 'ok' },
+      gone: { code: 410 }
+    }))
+    const request = { method: 'get', route: '/books' }
+    const except = { Gone: { expect: { 'query.gone': { exists: false } }, response: { $ref: './responses.json#/gone' } } }
+    const samplests = [
+      { request, response: { $ref: './responses.json#/ok' }, except },
+      { request, responses: [{ $ref: './responses.json#/ok' }, { code: 201 }] },
+      { request, responses: { $ref: '#/fixtures/variants' }, fixtures: { variants: [{ code: 200 }] } }
+    ]
+
+    for (const samplest of samplests) {
+      assert.ok(validate(samplest), JSON.stringify(validate.errors))
+      const [resolved] = resolveSamplest(samplest, join(base, 'books.json'))
+      assert.ok(validate(resolved), JSON.stringify(validate.errors))
+      assert.doesNotThrow(() => new ContentBuilder(resolved))
+    }
+    assert.ok(!validate({ request, response: { $ref: './responses.json#/ok', code: 200 } }))
+    assert.ok(!validate({ request, response: { $ref: 42 } }))
+  })
+
+  it('should agree with the handlers on valid and invalid samplests', () => {
+    const request = { method: 'get', route: '/books' }
+    const samplests = []
+    for (const dir of readdirSync(examples)) {
+      for (const file of readdirSync(join(examples, dir))) {
+        samplests.push([`${dir}/${file}`, JSON.parse(readFileSync(join(examples, dir, file)))])
+      }
+    }
+    samplests.push(
+      ['state', { request, response: { code: 200 }, state: { key: 'isbn' } }],
+      ['variants', { request, responses: [{ code: 200, weight: 2 }, { code: '201' }], select: 'sequential' }],
+      ['faults', { request, response: { code: 200 }, faults: { drop: { probability: 0.5 } } }],
+      ['float code', { request, response: { code: 200.5 } }],
+      ['unsupported code', { request, response: { code: 600 } }],
+      ['missing route', { request: { method: 'get' }, response: { code: 200 } }],
+      ['query list', { request: { ...request, query: [] }, response: { code: 200 } }],
+      ['data and file', { request, response: { code: 200, data: 'ok', file: 'books.pdf' } }],
+      ['except list', { request, response: { code: 200 }, except: [] }],
+      ['except without response', { request, response: { code: 200 }, except: { A: { expect: { 'query.a': 1 } } } }],
+      ['no variants', { request, responses: [] }],
+      ['state name', { request, response: { code: 200 }, state: 'books' }],
+      ['fault probability', { request, response: { code: 200 }, faults: { drop: { probability: 2 } } }]
+    )
+
+    for (const [name, samplest] of samplests) {
+      let handled
+      try {
+        handled = new ContentBuilder(samplest) instanceof ContentBuilder
+      } catch (e) {
+        handled = false
+      }
+      const checked = checkSamplest(samplest).every(e => e.level !== 'error')
+
+      assert.strict.equal(validate(samplest), handled, `${name}: ${JSON.stringify(validate.errors)}`)
+      assert.strict.equal(checked, handled, name)
+    }
+  })
+
+  it('should list the options supported by the handlers', () => {
+    const { definitions } = SCHEMA
+    const verbs = ['head', 'get', 'post', 'put', 'patch', 'delete']
+    const formats = ['json', 'text', 'html', 'xml', 'csv', 'file']
+    const casts = ['number', 'boolean', 'string']
+    const strategies = ['weighted', 'sequential', 'round-robin', 'sticky']
+    const faults = ['error', 'drop', 'truncate', 'malformed', 'hang']
+
+    assert.strict.deepEqual(definitions.request.properties.method.enum,
+      [...verbs, ...verbs.map(e => e.toUpperCase())])
+    for (const method of [...verbs, 'PATCH']) {
+      assert.doesNotThrow(() => new RequestHandler({ method, route: '/' }), method)
+    }
+    assert.throws(() => new RequestHandler({ method: 'trace', route: '/' }))
+
+    assert.strict.deepEqual(definitions.format.enum, formats)
+    for (const format of formats) {
+      const content = format === 'file' ? { file: 'books.pdf' } : { data: 'ok' }
+      assert.doesNotThrow(() => new ResponseHandler({ code: 200, ...content, format }), format)
+    }
+    assert.throws(() => new ResponseHandler({ code: 200, data: 'ok', format: 'yaml' }))
+
+    assert.strict.deepEqual(definitions.metadata.properties.cast.additionalProperties.enum, casts)
+    for (const type of casts) {
+      assert.doesNotThrow(() => new ResponseHandler({ code: 200, data: { id: '1' }, $data: { cast: { id: type } } }), type)
+    }
+    assert.throws(() => new ResponseHandler({ code: 200, data: { id: '1' }, $data: { cast: { id: 'date' } } }))
+
+    assert.strict.deepEqual(SCHEMA.properties.select.enum, strategies)
+    for (const strategy of strategies) {
+      assert.doesNotThrow(() => new ResponseSelector([{ code: 200 }], strategy), strategy)
+    }
+    assert.throws(() => new ResponseSelector([{ code: 200 }], 'random'))
+
+    assert.strict.deepEqual(Object.keys(definitions.faults.properties), faults)
+    for (const fault of faults) {
+      assert.doesNotThrow(() => new FaultHandler({ [fault]: { probability: 0.1 } }), fault)
+    }
+    assert.throws(() => new FaultHandler({ timeout: { probability: 0.1 } }))
+  })
+
+  it('should list the operators supported by declarative conditions', () => {
+    const operators = { in: [], exists: true, type: 'string', regex: '^a' }
+    for (const operator of Object.keys(SCHEMA.definitions.operators.properties)) {
+      assert.doesNotThrow(() => validateCondition({ field: { [operator]: operators[operator] || 1 } }))
+    }
+    assert.throws(() => validateCondition({ field: { contains: 1 } }), /Unsupported operator/)
+  })
+
+  it('should not warn about the $schema and fixtures fields', () => {
+    assert.strict.deepEqual(checkSamplest({
+      $schema: './node_modules/samplest/samplest.schema.json',
+      request: { method: 'get', route: '/books' },
+      response: { code: 200, data: { $ref: '#/fixtures/books' } },
+      fixtures: { books: [] }
+    }), [])
+  })
+})
@@ -0,0 +1,83 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+
+const { hashSeed, seededRandom, repeatContent } = require('../lib')
+const { ContentBuilder } = require('../api')
+
+describe('Generate reproducible random numbers from seeds', () => {
+  it('should hash any text into a positive integer', () => {
+    assert.strict.equal(hashSeed('samplest'), hashSeed('samplest'))
+    assert.notStrictEqual(hashSeed('samplest'), hashSeed('samplest2'))
+    assert.ok(hashSeed('') > 0)
+  })
+
+  it('should repeat content the same for the same seed', () => {
+    const lengths = (seed) => [1, 2, 3].map(() => {
+      return repeatContent([1], '1..100', seededRandom(seed)).length
+    })
+
+    assert.strict.deepEqual(lengths(42), lengths(42))
+    assert.notDeepStrictEqual(lengths(42), lengths(43))
+  })
+})
+
+describe('Generate reproducible content from seeds', () => {
+  const samplest = (options) => new ContentBuilder({
+    request: { route: '/products/:product', method: 'get' },
+    response: {
+      code: 200,
+      data: [{ name: '{{commerce.productName}}', price: '{{random.number}}' }],
+      $data: { repeat: '1..20' }
+    }
+  }, options)
+
+  it('should generate the same content for the same server seed', () => {
+    const first = samplest({ seed: 2020 }).generate({ params: { product: '42' } })
+    const second = samplest({ seed: 2020 }).generate({ params: { product: '42' } })
+    const other = samplest({ seed: 2020 }).generate({ params: { product: '43' } })
+
+    assert.strict.deepEqual(first.content, second.content)
+    assert.notDeepStrictEqual(first.content, other.content)
+  })
+
+  it('should generate the same content for the same request seed', () => {
+    const cb = samplest()
+    const req = { params: { product: '42' }, headers: { 'x-samplest-seed': 'abc' } }
+
+    assert.strict.deepEqual(cb.generate(req).content, cb.generate(req).content)
+    assert.notDeepStrictEqual(
+      cb.generate(req).content,
+      cb.generate({ ...req, headers: { 'x-samplest-seed': 'xyz' } }).content
+    )
+  })
+
+  it('should generate random content again after a seeded request', () => {
+    const cb = samplest()
+    cb.generate({ params: { product: '42' }, headers: { 'x-samplest-seed': 'abc' } })
+
+    const contents = new Set()
+    for (let i = 0; i < 5; i++) {
+      contents.add(JSON.stringify(cb.generate({ params: { product: '42' } }).content))
+    }
+    assert.ok(contents.size > 1, 'content is not random')
+  })
+})
@@ -0,0 +1,116 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+const { mkdtempSync, writeFileSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const { createServer, createMiddleware } = require('../server')
+
+describe('Start and stop samplest servers from Node.js', () => {
+  const base = mkdtempSync(join(tmpdir(), 'samplest-'))
+  writeFileSync(join(base, 'book.json'), JSON.stringify({
+    request: { method: 'get', route: '/books/:book' },
+    response: { code: 200, data: { id: '{route.book}' } }
+  }))
+  const author = {
+    request: { method: 'get', route: '/authors/:author' },
+    response: { code: 200, data: { name: '{route.author}' } }
+  }
+
+  it('should listen on a free port and close', async () => {
+    const server = createServer({ dirs: [base], samplests: [author] })
+    const { port, url } = await server.listen()
+    assert.ok(port > 0)
+    assert.strict.equal(url, `http://127.0.0.1:${port}`)
+    assert.strict.deepEqual(server.registry.routes.map(e => e.source), [join(base, 'book.json'), 'memory:1'])
+
+    await request(url).get('/books/42').expect(200, { id: '42' })
+    await request(url).get('/authors/tolkien').expect(200, { name: 'tolkien' })
+    assert.strict.equal(server.journal.verify({ route: '/books/:book' }, { times: 1 }).verified, true)
+
+    await assert.rejects(server.listen(port), /already listening/)
+    await server.close()
+    assert.strict.equal(server.address, null)
+    await assert.rejects(request(url).get('/books/42'))
+  })
+
+  it('should load and remove samplests from memory', async () => {
+    const server = createServer({ admin: false })
+    await server.load()
+    await request(server.app).get('/authors/tolkien').expect(404)
+
+    const source = server.add(author)
+    await request(server.app).get('/authors/tolkien').expect(200)
+    assert.strict.equal(server.remove(source), true)
+    await request(server.app).get('/authors/tolkien').expect(404)
+    await request(server.app).get('/__samplest').expect(404)
+
+    assert.throws(() => server.add({ request: { method: 'get', route: '/' } }))
+    assert.throws(() => server.add({
+      request: { method: 'get', route: '/' },
+      response: { code: 200 },
+      except: { 'JS rule': { validate: ['true'], response: { code: 400 } } }
+    }), /User permission required/)
+  })
+
+  it('should throw instead of exiting on invalid samplests', async () => {
+    const broken = mkdtempSync(join(tmpdir(), 'samplest-'))
+    writeFileSync(join(broken, 'broken.json'), JSON.stringify({ request: { method: 'get', route: '/' } }))
+    await assert.rejects(createServer({ dirs: [broken] }).listen(), /broken\.json: /)
+    assert.throws(() => createServer({ precedence: 'random' }), /Unsupported route precedence/)
+  })
+
+  it('should mount samplests in an existing application', async () => {
+    const app = express()
+    app.use('/mock', await createMiddleware({ dirs: [base] }))
+    app.get('/health', (req, res) => res.send('ok'))
+
+    await request(app).get('/mock/books/7').expect(200, { id: '7' })
+    await request(app).get('/mock/__samplest/routes').expect(200)
+    await request(app).get('/health').expect(200, 'ok')
+  })
+
+  it('should stop watching directories when the middleware closes', async () => {
+    const watched = mkdtempSync(join(tmpdir(), 'samplest-'))
+    const app = express()
+    const middleware = await createMiddleware({ dirs: [watched], watch: true })
+    app.use(middleware)
+
+    await middleware.close()
+    writeFileSync(join(watched, 'author.json'), JSON.stringify(author))
+    await new Promise(resolve => setTimeout(resolve, 700))
+    await request(app).get('/authors/tolkien').expect(404)
+  })
+
+  it('should serve routes in the order they are loaded by default', async () => {
+    const latest = { request: { method: 'get', route: '/books/latest' }, response: { code: 200, data: 'latest' } }
+    const ordered = createServer({ dirs: [base], samplests: [latest] })
+    const specific = createServer({ dirs: [base], samplests: [latest], precedence: 'specific' })
+    await ordered.load()
+    await specific.load()
+
+    await request(ordered.app).get('/books/latest').expect(200, { id: 'latest' })
+    await request(specific.app).get('/books/latest').expect(200, '"latest"')
+  })
+})
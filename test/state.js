@@ -0,0 +1,141 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+
+const { StateHandler } = require('../lib')
+const { ContentBuilder } = require('../api')
+const { MemoryStore } = require('../store')
+
+describe('Validate state options', () => {
+  it('should throw errors for invalid state options', () => {
+    assert.throws(() => {
+      new StateHandler('books', '/books')
+    })
+
+    assert.throws(() => {
+      new StateHandler({ key: '' }, '/books')
+    })
+
+    assert.throws(() => {
+      new StateHandler({ collection: 42 }, '/books')
+    })
+  })
+
+  it('should derive the collection from the route', () => {
+    const item = new StateHandler(true, '/api/v1/book/:book')
+    assert.strict.equal(item.collection, '/api/v1/book')
+    assert.strict.equal(item.param, 'book')
+    assert.strict.equal(item.key, 'id')
+
+    const list = new StateHandler({ key: 'isbn' }, '/api/v1/book/')
+    assert.strict.equal(list.collection, '/api/v1/book')
+    assert.strict.equal(list.param, null)
+    assert.strict.equal(list.key, 'isbn')
+
+    const named = new StateHandler({ collection: 'books' }, '/:book')
+    assert.strict.equal(named.collection, 'books')
+    assert.strict.equal(named.param, 'book')
+  })
+})
+
+describe('Act on a collection of items shared between samplests', () => {
+  const store = new MemoryStore()
+  const samplest = (method, route, code, data) => new ContentBuilder({
+    request: { method, route },
+    response: { code, data },
+    state: true
+  }, { store })
+
+  const create = samplest('post', '/books', 201, { author: 'unknown' })
+  const list = samplest('get', '/books', 200, null)
+  const read = samplest('get', '/books/:book', 200, null)
+  const update = samplest('patch', '/books/:book', 200, null)
+  const remove = samplest('delete', '/books/:book', 200, 'deleted {route.book}')
+
+  it('should insert the payload with an identity and defaults', () => {
+    const { code, content } = create.generate({ body: { title: 'The hobbit' } })
+
+    assert.strict.equal(code, 201)
+    assert.strict.deepEqual(content, { id: 1, author: 'unknown', title: 'The hobbit' })
+  })
+
+  it('should list and read stored items', () => {
+    create.generate({ body: { id: 'lotr', title: 'The lord of the rings' } })
+
+    assert.strict.deepEqual(list.generate({}).content.map(e => e.id), [1, 'lotr'])
+    assert.strict.deepEqual(read.generate({ params: { book: 'lotr' } }).content, {
+      id: 'lotr',
+      author: 'unknown',
+      title: 'The lord of the rings'
+    })
+  })
+
+  it('should merge changes into a stored item', () => {
+    const { content } = update.generate({
+      params: { book: '1' },
+      body: { id: 99, author: 'J. R. R. Tolkien' }
+    })
+
+    assert.strict.deepEqual(content, { id: 1, author: 'J. R. R. Tolkien', title: 'The hobbit' })
+  })
+
+  it('should only change the fields of a partial body', () => {
+    const { content } = update.generate({ params: { book: 'lotr' }, body: { year: 1954 } })
+
+    assert.strict.deepEqual(content, {
+      id: 'lotr',
+      author: 'unknown',
+      title: 'The lord of the rings',
+      year: 1954
+    })
+  })
+
+  it('should not persist bodies that are not plain objects', () => {
+    const { content } = create.generate({ body: 'title=The silmarillion' })
+    assert.strict.deepEqual(content, { id: 2, author: 'unknown' })
+
+    update.generate({ params: { book: '2' }, body: ['title', 'The silmarillion'] })
+    assert.strict.deepEqual(read.generate({ params: { book: '2' } }).content, { id: 2, author: 'unknown' })
+  })
+
+  it('should not persist the payload declared by the samplest', () => {
+    const draft = new ContentBuilder({
+      request: { method: 'post', route: '/drafts', payload: { title: 'Untitled' } },
+      response: { code: 201, data: null },
+      state: true
+    }, { store })
+
+    assert.strict.deepEqual(draft.generate({ body: { author: 'unknown' } }).content, {
+      id: 1,
+      author: 'unknown'
+    })
+  })
+
+  it('should remove a stored item and answer 404 afterwards', () => {
+    const { code, content } = remove.generate({ params: { book: '1' } })
+    assert.strict.equal(code, 200)
+    assert.strict.equal(content, 'deleted 1')
+
+    assert.strict.equal(read.generate({ params: { book: '1' } }).code, 404)
+    assert.strict.equal(update.generate({ params: { book: '1' } }).code, 404)
+    assert.strict.equal(remove.generate({ params: { book: '1' } }).code, 404)
+  })
+})
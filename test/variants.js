@@ -0,0 +1,148 @@
+// Copyright (c) 2020 Alexandru Catrina <alex@codeissues.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const assert = require('assert')
+const express = require('express')
+const request = require('supertest')
+
+const { ResponseSelector } = require('../lib')
+const { ContentBuilder, registerHttpCall } = require('../api')
+const { exportOpenApi } = require('../openapi')
+
+describe('Select one of many response variants', () => {
+  const variants = [
+    { code: 200, data: { status: 'ok' } },
+    { code: 503, data: { status: 'unavailable' }, weight: 0 },
+    { code: 429, data: { status: 'slow down' } }
+  ]
+
+  it('should fail if variants or strategy are invalid', () => {
+    assert.throws(() => new ResponseSelector([]))
+    assert.throws(() => new ResponseSelector({ code: 200 }))
+    assert.throws(() => new ResponseSelector([{ code: 'ok' }]))
+    assert.throws(() => new ResponseSelector([{ code: 200, weight: -1 }]))
+    assert.throws(() => new ResponseSelector([{ code: 200, weight: 0 }]))
+    assert.throws(() => new ResponseSelector(variants, 'random'))
+    assert.doesNotThrow(() => new ResponseSelector([{ code: 200, weight: 0 }], 'sequential'))
+  })
+
+  it('should pick variants by weight', () => {
+    const selector = new ResponseSelector(variants)
+    assert.strict.equal(selector.strategy, 'weighted')
+    assert.strict.equal(selector.pick(null, () => 0), 0)
+    assert.strict.equal(selector.pick(null, () => 0.49), 0)
+    assert.strict.equal(selector.pick(null, () => 0.5), 2)
+    assert.strict.equal(selector.pick(null, () => 0.99), 2)
+  })
+
+  it('should pick variants in order', () => {
+    const sequential = new ResponseSelector(variants, 'sequential')
+    const roundRobin = new ResponseSelector(variants, 'round-robin')
+
+    const picks = [[], []]
+    for (let i = 0; i < 5; i++) {
+      picks[0].push(sequential.pick())
+      picks[1].push(roundRobin.pick())
+    }
+
+    assert.strict.deepEqual(picks[0], [0, 1, 2, 2, 2])
+    assert.strict.deepEqual(picks[1], [0, 1, 2, 0, 1])
+  })
+
+  it('should keep the same variant for each client', () => {
+    const selector = new ResponseSelector(variants, 'sticky')
+    assert.strict.equal(selector.pick('alice', () => 0), 0)
+    assert.strict.equal(selector.pick('bob', () => 0.9), 2)
+    assert.strict.equal(selector.pick('alice', () => 0.9), 0)
+    assert.strict.equal(selector.pick('bob', () => 0), 2)
+  })
+
+  it('should fail if both response and responses are defined', () => {
+    assert.throws(() => {
+      new ContentBuilder({
+        request: { route: '/', method: 'get' },
+        response: { code: 200 },
+        responses: [{ code: 200 }]
+      })
+    })
+  })
+
+  it('should respond with the variants over HTTP', async () => {
+    const api = express()
+    registerHttpCall(new ContentBuilder({
+      request: { route: '/health', method: 'get' },
+      responses: variants,
+      select: 'round-robin'
+    }), api)
+
+    const statuses = []
+    for (let i = 0; i < 4; i++) {
+      const res = await request(api).get('/health')
+      statuses.push([res.status, res.body.status])
+    }
+
+    assert.strict.deepEqual(statuses, [
+      [200, 'ok'],
+      [503, 'unavailable'],
+      [429, 'slow down'],
+      [200, 'ok']
+    ])
+  })
+
+  it('should stick to a variant by client header', () => {
+    const cb = new ContentBuilder({
+      request: { route: '/health', method: 'get' },
+      responses: [{ code: 200 }, { code: 500 }],
+      select: 'sticky'
+    })
+
+    const req = { headers: { 'x-samplest-client': 'alice' } }
+    const { code, flow } = cb.generate(req)
+    for (let i = 0; i < 10; i++) {
+      assert.strict.equal(cb.generate(req).code, code)
+      assert.strict.equal(cb.generate(req).flow, flow)
+    }
+  })
+
+  it('should pick the same variant for the same seed', () => {
+    const samplest = {
+      request: { route: '/health', method: 'get' },
+      responses: [{ code: 200 }, { code: 500 }, { code: 502 }, { code: 504 }]
+    }
+    const first = new ContentBuilder(samplest, { seed: 7 })
+    const second = new ContentBuilder(samplest, { seed: 7 })
+
+    for (let i = 0; i < 5; i++) {
+      assert.strict.equal(first.generate({}).code, second.generate({}).code)
+    }
+  })
+
+  it('should document the codes of all variants', () => {
+    const doc = exportOpenApi([['health', {
+      request: { route: '/health', method: 'get' },
+      responses: [{ code: 200 }, { code: 503, weight: 2 }, { code: 200 }]
+    }]], { title: 'Health', version: '1.0.0' })
+
+    const { responses } = doc.paths['/health'].get
+    assert.strict.deepEqual(Object.keys(responses), ['200', '503'])
+    assert.strict.equal(responses['200'].description, 'Variant 1; Variant 3')
+    assert.strict.equal(responses['503'].description, 'Variant 2')
+  })
+})